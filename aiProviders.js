@@ -0,0 +1,206 @@
+// AI providers used by gemini.js, chosen with AI_PROVIDER in the .env file
+//   gemini (default) - Google Gemini, needs GEMINI_API_KEY (and optional GEMINI_MODEL)
+//   openai           - any local OpenAI compatible endpoint (Ollama, LM Studio, llama.cpp ...)
+//                      AI_BASE_URL (default http://localhost:11434/v1), AI_MODEL, optional AI_API_KEY
+//   fake             - deterministic offline responses for development and tests, no network needed
+//
+// every provider has the same interface as the Gemini client call we use:
+//   provider.generateContent({ task, input, contents, config }) -> { text }
+// task & input describe the request in structured form (only the fake provider uses them),
+// contents is the prompt and config.responseJsonSchema the expected JSON shape, if any
+
+// Google Gemini through the official library
+function createGeminiProvider() {
+    // import GoogleGenAI class from the Google Gemini library
+    const { GoogleGenAI } = require('@google/genai');
+
+    // initialize an instance of GoogleGenAI class for interaction with Gemini AI
+    const client = new GoogleGenAI({
+        apiKey: process.env.GEMINI_API_KEY
+    });
+    const model = process.env.GEMINI_MODEL || "gemini-2.5-flash";
+
+    return {
+        name: "gemini",
+        model,
+        generateContent: async function ({ contents, config }) {
+            const aiResponse = await client.models.generateContent({ model, contents, config });
+            return { text: aiResponse.text };
+        }
+    }
+}
+
+// OpenAI compatible chat completions endpoint, e.g. a local model served by Ollama
+function createOpenAIProvider() {
+    const baseUrl = (process.env.AI_BASE_URL || "http://localhost:11434/v1").replace(/\/+$/, "");
+    const model = process.env.AI_MODEL || "llama3.1";
+
+    return {
+        name: "openai",
+        model,
+        generateContent: async function ({ contents, config }) {
+            const body = {
+                model,
+                messages: [{ role: "user", content: contents }]
+            }
+
+            // ask for JSON that follows the schema, same as responseJsonSchema for Gemini
+            if (config && config.responseJsonSchema) {
+                body.response_format = {
+                    type: "json_schema",
+                    json_schema: { name: "response", schema: config.responseJsonSchema }
+                }
+            }
+
+            const response = await fetch(`${baseUrl}/chat/completions`, {
+                method: "POST",
+                headers: {
+                    "Content-Type": "application/json",
+                    ...(process.env.AI_API_KEY ? { "Authorization": `Bearer ${process.env.AI_API_KEY}` } : {})
+                },
+                body: JSON.stringify(body)
+            });
+
+            if (!response.ok) {
+                throw new Error(`AI endpoint responded with ${response.status}: ${await response.text()}`);
+            }
+
+            const data = await response.json();
+            return { text: data.choices[0].message.content };
+        }
+    }
+}
+
+// Deterministic offline provider: the same request always gives the same schema valid response
+//   answers are built from the structured input, e.g. picking the cuisines and tags mentioned in the text
+function createFakeProvider() {
+    return {
+        name: "fake",
+        model: "fake",
+        generateContent: async function ({ task, input, config }) {
+            const handler = fakeTasks[task];
+            if (handler) {
+                return { text: JSON.stringify(handler(input)) };
+            }
+
+            // unknown task: an example value for the schema, or plain text
+            if (config && config.responseJsonSchema) {
+                return { text: JSON.stringify(sampleFromSchema(config.responseJsonSchema)) };
+            }
+            return { text: "This is a fake AI response." };
+        }
+    }
+}
+
+// values from the list that are mentioned in the text, case insensitive
+function mentioned(text, values) {
+    const lowerText = String(text || "").toLowerCase();
+    return values.filter(value => lowerText.includes(String(value).toLowerCase()));
+}
+
+// responses of the fake provider per task
+const fakeTasks = {
+    searchParams: function ({ query, tags, cuisines, ingredients }) {
+        return {
+            cuisines: mentioned(query, cuisines),
+            tags: mentioned(query, tags),
+            ingredients: mentioned(query, ingredients).map(ingredient => ingredient.toLowerCase()),
+            userLanguage: "English"
+        }
+    },
+
+    recipe: function ({ recipeText, availableCuisines, availableTags }) {
+        const text = String(recipeText || "");
+        const sentences = text.split(/[.!?]\s*/).map(sentence => sentence.trim()).filter(Boolean);
+        const servings = text.match(/serves\s+(\d+)/i);
+
+        // ingredients written like "400g spaghetti" or "2 tbsp soy sauce"
+        const ingredients = [];
+        const ingredientPattern = /(\d+(?:\.\d+)?)\s*(g|kg|ml|l|tbsp|tsp|cups?)?\s+([a-z][a-z ]*?)(?=,|\.|\band\b|$)/gi;
+        for (const match of text.matchAll(ingredientPattern)) {
+            ingredients.push({
+                name: match[3].trim().toLowerCase(),
+                quantity: match[1],
+                unit: match[2] ? match[2].toLowerCase() : "whole"
+            });
+        }
+
+        return {
+            name: sentences.length > 0 ? sentences[0].slice(0, 60) : "Fake Recipe",
+            cuisine: mentioned(text, availableCuisines)[0] || availableCuisines[0] || "",
+            prepTime: 10,
+            cookTime: 20,
+            servings: servings ? Number(servings[1]) : 2,
+            ingredients: ingredients.length > 0 ? ingredients : [{ name: "water", quantity: "1", unit: "cup" }],
+            instructions: sentences.length > 1 ? sentences.slice(1).map(sentence => `${sentence}.`) : ["Cook and serve."],
+            tags: mentioned(text, availableTags)
+        }
+    },
+
+    // no translation offline, the recipes come back unchanged
+    translate: function ({ recipes }) {
+        return recipes;
+    },
+
+    // recipes whose name, cuisine or tags are mentioned in the constraints come first,
+    // then the open slots are filled in turn
+    mealPlan: function ({ constraints, candidates, openSlots }) {
+        const text = String(constraints || "").toLowerCase();
+        const matches = candidate => [candidate.name, candidate.cuisine, ...(candidate.tags || [])]
+            .some(value => value && text.includes(String(value).toLowerCase()));
+        const preferred = candidates.filter(matches);
+        const pool = preferred.length > 0 ? preferred : candidates;
+
+        if (pool.length === 0) {
+            return { meals: [] };
+        }
+        return {
+            meals: openSlots.map(({ day, slot }, index) => ({
+                day,
+                slot,
+                recipeId: String(pool[index % pool.length]._id)
+            }))
+        }
+    }
+}
+
+// build an example value that satisfies a JSON schema (objects, arrays, strings, numbers, booleans)
+function sampleFromSchema(schema) {
+    switch (schema.type) {
+        case "object": {
+            const result = {};
+            for (const [key, property] of Object.entries(schema.properties || {})) {
+                result[key] = sampleFromSchema(property);
+            }
+            return result;
+        }
+        case "array":
+            return schema.items ? [sampleFromSchema(schema.items)] : [];
+        case "number":
+        case "integer":
+            return 1;
+        case "boolean":
+            return false;
+        default:
+            return schema.enum ? schema.enum[0] : "fake";
+    }
+}
+
+const providers = {
+    gemini: createGeminiProvider,
+    openai: createOpenAIProvider,
+    fake: createFakeProvider
+}
+
+// create the provider named in AI_PROVIDER
+function createProvider(name = process.env.AI_PROVIDER || "gemini") {
+    const create = providers[name];
+    if (!create) {
+        throw new Error(`Unknown AI provider: ${name}. Use one of: ${Object.keys(providers).join(", ")}`);
+    }
+    return create();
+}
+
+module.exports = {
+    createProvider, sampleFromSchema
+}
@@ -0,0 +1,116 @@
+// Allergen and diet flags of a recipe, derived from its ingredient names
+// the mapping lives in the ingredient_flags collection so it can be maintained without a deploy,
+// one document per keyword:
+//   { "keyword": "peanut", "allergens": ["nuts"], "meat": false, "animal": false }
+//   meat   - not vegetarian (meat, fish, gelatin ...)
+//   animal - not vegan (eggs, dairy, honey ...), meat implies animal
+// an ingredient takes the flags of its longest matching keyword,
+// so "coconut milk" is not dairy, "peanut butter" is nuts but not dairy and "cream of tartar" is neither
+
+const ALLERGENS = ["nuts", "dairy", "gluten", "shellfish"];
+const DIETS = ["vegetarian", "vegan"];
+
+// seeded into ingredient_flags when the collection is empty
+const DEFAULT_INGREDIENT_FLAGS = [
+    // nuts
+    ...["almond", "peanut", "cashew", "walnut", "pecan", "hazelnut", "pistachio", "macadamia", "pine nut", "satay"]
+        .map(keyword => ({ keyword, allergens: ["nuts"], meat: false, animal: false })),
+    { keyword: "peanut butter", allergens: ["nuts"], meat: false, animal: false },
+    { keyword: "almond milk", allergens: ["nuts"], meat: false, animal: false },
+    { keyword: "almond flour", allergens: ["nuts"], meat: false, animal: false },
+
+    // dairy
+    ...["milk", "cream", "butter", "cheese", "parmesan", "mozzarella", "cheddar", "feta", "ricotta", "yogurt", "yoghurt", "ghee", "paneer", "buttermilk"]
+        .map(keyword => ({ keyword, allergens: ["dairy"], meat: false, animal: true })),
+    { keyword: "coconut milk", allergens: [], meat: false, animal: false },
+    { keyword: "coconut cream", allergens: [], meat: false, animal: false },
+    { keyword: "oat milk", allergens: ["gluten"], meat: false, animal: false },
+    { keyword: "soy milk", allergens: [], meat: false, animal: false },
+
+    // gluten
+    ...["flour", "wheat", "bread", "breadcrumb", "pasta", "spaghetti", "noodle", "barley", "couscous", "soy sauce", "tortilla", "pita", "naan", "semolina"]
+        .map(keyword => ({ keyword, allergens: ["gluten"], meat: false, animal: false })),
+    { keyword: "egg noodle", allergens: ["gluten"], meat: false, animal: true },
+    { keyword: "rice noodle", allergens: [], meat: false, animal: false },
+    { keyword: "rice flour", allergens: [], meat: false, animal: false },
+    { keyword: "corn tortilla", allergens: [], meat: false, animal: false },
+
+    // shellfish
+    ...["shrimp", "prawn", "crab", "lobster", "clam", "mussel", "oyster", "scallop", "squid", "crayfish", "oyster sauce", "shrimp paste"]
+        .map(keyword => ({ keyword, allergens: ["shellfish"], meat: true, animal: true })),
+
+    // meat & fish
+    ...["chicken", "beef", "pork", "lamb", "mutton", "duck", "turkey", "bacon", "ham", "sausage", "mince", "fish", "salmon", "tuna", "cod", "anchovy", "fish sauce", "gelatin", "lard"]
+        .map(keyword => ({ keyword, allergens: [], meat: true, animal: true })),
+    { keyword: "chicken stock", allergens: [], meat: true, animal: true },
+    { keyword: "beef stock", allergens: [], meat: true, animal: true },
+
+    // other animal products
+    ...["egg", "honey", "mayonnaise"]
+        .map(keyword => ({ keyword, allergens: [], meat: false, animal: true })),
+
+    // plants named after one of the keywords above
+    ...["eggplant", "butternut", "butter bean", "oyster mushroom"]
+        .map(keyword => ({ keyword, allergens: [], meat: false, animal: false })),
+
+    // not what the keyword inside them says: cream of tartar is a powder from wine making
+    { keyword: "cream of tartar", allergens: [], meat: false, animal: false }
+];
+
+function escapeRegExp(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// a keyword as a whole word, singular or plural: "egg" matches "eggs", "tomato" "tomatoes", "anchovy" "anchovies",
+// but "ham" does not match "graham" and "mince" does not match "minced garlic"
+function keywordPattern(keyword) {
+    const plural = keyword.endsWith("y") ? `${escapeRegExp(keyword.slice(0, -1))}(?:y|ies)` : `${escapeRegExp(keyword)}(?:e?s)?`;
+    return new RegExp(`\\b${plural}\\b`);
+}
+
+// the mapping entry with the longest keyword found in the ingredient name, or undefined
+//   also used for the nutrition facts, which are keyed the same way
+function findKeywordMatch(ingredientName, mappings) {
+    const name = String(ingredientName || "").toLowerCase();
+    let best;
+    for (const mapping of mappings) {
+        const keyword = String(mapping.keyword).toLowerCase();
+        if (keywordPattern(keyword).test(name) && (!best || keyword.length > best.keyword.length)) {
+            best = { ...mapping, keyword };
+        }
+    }
+    return best;
+}
+
+// Compute the flags of a recipe from its ingredients and the mapping documents
+//   returns { allergens: ["dairy", ...], diets: ["vegetarian", ...] }
+//   ingredients without a matching keyword are taken as plant based and allergen free
+function computeDietaryFlags(ingredients, mappings) {
+    const allergens = new Set();
+    let vegetarian = true;
+    let vegan = true;
+
+    for (const ingredient of ingredients || []) {
+        const flags = findKeywordMatch(ingredient.name, mappings);
+        if (!flags) {
+            continue;
+        }
+        (flags.allergens || []).forEach(allergen => allergens.add(allergen));
+        if (flags.meat) {
+            vegetarian = false;
+            vegan = false;
+        }
+        if (flags.animal) {
+            vegan = false;
+        }
+    }
+
+    return {
+        allergens: ALLERGENS.filter(allergen => allergens.has(allergen)),
+        diets: DIETS.filter(diet => diet === "vegetarian" ? vegetarian : vegan)
+    }
+}
+
+module.exports = {
+    ALLERGENS, DIETS, DEFAULT_INGREDIENT_FLAGS, computeDietaryFlags, findKeywordMatch
+}
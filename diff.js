@@ -0,0 +1,48 @@
+// Field-level difference between two versions of a document, e.g. two recipe revisions
+// returns a flat list of changes with dotted paths, arrays are compared item by item:
+//   [ { "path": "prepTime", "change": "changed", "from": 10, "to": 15 },
+//     { "path": "ingredients.2", "change": "added", "to": { "name": "chili", ... } } ]
+
+// objects & arrays are walked into, everything else (strings, numbers, ObjectId, Date) is a single value
+function isContainer(value) {
+    return Array.isArray(value) || (value !== null && typeof value === "object" && value.constructor === Object);
+}
+
+// compare single values, ObjectId and Date by their string form
+function sameValue(a, b) {
+    if (a === b) {
+        return true;
+    }
+    if (a === null || b === null || a === undefined || b === undefined || typeof a !== "object" || typeof b !== "object") {
+        return false;
+    }
+    return a.constructor === b.constructor && String(a) === String(b);
+}
+
+function diffDocuments(before, after, path = "") {
+    const changes = [];
+    const keys = Array.isArray(before) && Array.isArray(after)
+        ? [...Array(Math.max(before.length, after.length)).keys()]
+        : [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+
+    for (const key of keys) {
+        const fieldPath = path ? `${path}.${key}` : String(key);
+        const from = before ? before[key] : undefined;
+        const to = after ? after[key] : undefined;
+
+        if (from === undefined && to !== undefined) {
+            changes.push({ path: fieldPath, change: "added", to });
+        } else if (from !== undefined && to === undefined) {
+            changes.push({ path: fieldPath, change: "removed", from });
+        } else if (isContainer(from) && isContainer(to) && Array.isArray(from) === Array.isArray(to)) {
+            changes.push(...diffDocuments(from, to, fieldPath));
+        } else if (!sameValue(from, to)) {
+            changes.push({ path: fieldPath, change: "changed", from, to });
+        }
+    }
+    return changes;
+}
+
+module.exports = {
+    diffDocuments
+}
@@ -1,14 +1,11 @@
-// load variables from the .env file into object process.env: GEMINI_API_KEY, GEMINI_MODEL
+// load variables from the .env file into object process.env: AI_PROVIDER, GEMINI_API_KEY, GEMINI_MODEL ...
 require('dotenv').config();
 
-// import GoogleGenAI class from the Google Gemini library
-const { GoogleGenAI } = require('@google/genai');
+// the AI provider (Gemini, a local OpenAI compatible model or the offline fake), see aiProviders.js
+const { createProvider } = require('./aiProviders');
 
-// initialize an instance of GoogleGenAI class for interaction with Gemini AI 
-const ai = new GoogleGenAI({
-    apiKey: process.env.GEMINI_API_KEY
-});
-const MODEL = process.env.GEMINI_MODEL || "gemini-2.5-flash"
+const ai = createProvider();
+const MODEL = ai.model;
 
 // Use AI to generate structured search parameters from user's natural language query
 // first parameter - the query (the natural language query ), "I want to cook something using chicken and yogurt"
@@ -65,8 +62,9 @@ User's query: ${query}
  `
     // console.log(systemPrompt);
     // call AI to generate structured search criteria
-    const aiResponse = await ai.models.generateContent({
-        model: MODEL,
+    const aiResponse = await ai.generateContent({
+        task: "searchParams",
+        input: { query, tags, cuisines, ingredients },
         contents: systemPrompt,
         config: {
             responseMimeType: "application/json",
@@ -168,8 +166,9 @@ Example output: {
 Recipe Text: ${recipeText}
 `;
 
-    const aiResponse = await ai.models.generateContent({
-        model: MODEL,
+    const aiResponse = await ai.generateContent({
+        task: "recipe",
+        input: { recipeText, availableCuisines, availableTags },
         contents: systemPrompt,
         config: {
             responseMimeType: "application/json",
@@ -246,24 +245,135 @@ Recipe Text: ${recipeText}
 
 }
 
-// Use AI to translate recipe into user's main language used in query
-async function translateRecipe(recipe, userLanguage) {
-    recipeText = JSON.stringify(recipe);
-    const systemPrompt = `You are a multilingual recipe translator. Please translate the following array of recipes below into ${userLanguage} language, and format it into a structured human readable format.
-   
-Recipe: ${recipeText}
+// Use AI to translate recipes into user's main language used in query
+//   recipes: array of { _id, name, ingredients: [ingredient names], instructions: [steps] }
+//   returns the same array translated, quantities & units are left to the caller so they stay numeric
+async function translateRecipe(recipes, userLanguage) {
+    const recipeText = JSON.stringify(recipes);
+    const systemPrompt = `You are a multilingual recipe translator. Please translate the following array of recipes below into ${userLanguage} language.
 
-Please response with the translated recipe text only without other words.
+Rules:
+- Translate the recipe name, every ingredient name and every instruction step
+- Keep the _id of each recipe unchanged
+- Keep the same number and order of recipes, ingredients and instructions
+- Return ONLY valid JSON, no explanations and no code fences
+
+Recipes: ${recipeText}
 `
     //console.log(systemPrompt);
-    const aiResponse = await ai.models.generateContent({
-        model: MODEL,
-        contents: systemPrompt
+    const aiResponse = await ai.generateContent({
+        task: "translate",
+        input: { recipes, userLanguage },
+        contents: systemPrompt,
+        config: {
+            responseMimeType: "application/json",
+            responseJsonSchema: {
+                "type": "array",
+                "items": {
+                    "type": "object",
+                    "properties": {
+                        "_id": {
+                            "type": "string"
+                        },
+                        "name": {
+                            "type": "string"
+                        },
+                        "ingredients": {
+                            "type": "array",
+                            "items": {
+                                "type": "string"
+                            }
+                        },
+                        "instructions": {
+                            "type": "array",
+                            "items": {
+                                "type": "string"
+                            }
+                        }
+                    },
+                    "required": [
+                        "_id",
+                        "name",
+                        "ingredients",
+                        "instructions"
+                    ]
+                }
+            }
+        }
+    });
+
+    const translatedRecipes = JSON.parse(aiResponse.text);
+    return translatedRecipes;
+}
+
+// Use AI to fill the open slots of a weekly meal plan with recipes that exist in the database
+//   constraints: the user's wishes in natural language, e.g. "vegetarian on weekdays, quick breakfasts"
+//   candidates: array of { _id, name, cuisine, tags, prepTime, cookTime } to choose from (cuisine & tags as names)
+//   openSlots: array of { day, slot } that need a recipe
+async function suggestMealPlan(constraints, cuisines, tags, candidates, openSlots) {
+    const systemPrompt = `You are a meal planner. Plan the open meal slots of the user's week, choosing ONLY from the candidate recipes below.
+ Available Tags: ${tags}
+ Available Cuisines: ${cuisines}
+
+ Candidate recipes (JSON): ${JSON.stringify(candidates)}
+
+ Open slots (JSON): ${JSON.stringify(openSlots)}
+
+ Output: A JSON object { "meals": [ { "day": string, "slot": string, "recipeId": string } ] }
+
+ Rules:
+ - recipeId must be the _id of one of the candidate recipes
+ - only fill the open slots, at most one recipe per day and slot
+ - follow the user's constraints, use the tags, cuisines and times of the recipes to decide
+ - prefer variety: avoid the same recipe twice on the same day and the same cuisine for every dinner
+ - leave a slot out if no candidate recipe fits the constraints
+ - Return ONLY valid JSON, no explanations and no code fences
+
+ User's constraints: ${constraints || "none"}
+ `
+    const aiResponse = await ai.generateContent({
+        task: "mealPlan",
+        input: { constraints, candidates, openSlots },
+        contents: systemPrompt,
+        config: {
+            responseMimeType: "application/json",
+            responseJsonSchema: {
+                "type": "object",
+                "properties": {
+                    "meals": {
+                        "type": "array",
+                        "items": {
+                            "type": "object",
+                            "properties": {
+                                "day": {
+                                    "type": "string"
+                                },
+                                "slot": {
+                                    "type": "string"
+                                },
+                                "recipeId": {
+                                    "type": "string"
+                                }
+                            },
+                            "required": [
+                                "day",
+                                "slot",
+                                "recipeId"
+                            ]
+                        }
+                    }
+                },
+                "required": [
+                    "meals"
+                ]
+            }
+        }
     });
 
-    return aiResponse.text;
+    const mealPlan = JSON.parse(aiResponse.text);
+    return mealPlan;
 }
 
 module.exports = {
-    ai, MODEL, generateSearchParams, generateRecipe, translateRecipe
+    ai, MODEL, generateSearchParams, generateRecipe, translateRecipe, suggestMealPlan
 }
\ No newline at end of file
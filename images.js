@@ -0,0 +1,131 @@
+// Recipe images stored in MongoDB GridFS, bucket "recipe_images"
+// every upload is kept as two GridFS files, the original and a smaller webp thumbnail,
+// their metadata says which recipe (and instruction step) they belong to:
+//   { "recipe_id": ..., "step": 2, "kind": "original" | "thumbnail", "user_id": ... }
+// a recipe refers to its images by id, e.g.
+//   "image": { "image_id": ..., "thumbnail_id": ..., "contentType": "image/jpeg", "width": 1200, "height": 800 }
+const { GridFSBucket } = require('mongodb');
+const multer = require('multer');
+const sharp = require('sharp');
+
+const BUCKET_NAME = "recipe_images";
+const IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp"];
+const MAX_IMAGE_BYTES = (Number(process.env.MAX_IMAGE_MB) || 5) * 1024 * 1024;
+const THUMBNAIL_SIZE = 320;
+
+// sharp format name -> content type, to check that the file really is what it claims to be
+const FORMAT_TYPES = { jpeg: "image/jpeg", png: "image/png", webp: "image/webp" };
+
+function imageBucket(db) {
+    return new GridFSBucket(db, { bucketName: BUCKET_NAME });
+}
+
+// keep the upload in memory, it is checked and resized before it goes into GridFS
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMAGE_BYTES, files: 1 },
+    fileFilter: function (req, file, callback) {
+        callback(null, IMAGE_TYPES.includes(file.mimetype));
+    }
+}).single("image");
+
+// Middleware: read a multipart upload with one file in the "image" field into req.file
+//   responds 413 when the file is too big and 400 when it is missing or not a supported image type
+function imageUpload(req, res, next) {
+    upload(req, res, function (error) {
+        if (error instanceof multer.MulterError && error.code === "LIMIT_FILE_SIZE") {
+            return res.status(413).json({ error: `Image is larger than ${MAX_IMAGE_BYTES / 1024 / 1024} MB` });
+        }
+        if (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (!req.file) {
+            return res.status(400).json({ error: `Upload one image in the "image" field, as ${IMAGE_TYPES.join(", ")}` });
+        }
+        next();
+    });
+}
+
+// Check the image content and build its thumbnail
+//   returns { contentType, width, height, thumbnail } or null when the content is not a supported image
+async function processImage(buffer) {
+    let metadata;
+    try {
+        metadata = await sharp(buffer).metadata();
+    } catch (error) {
+        return null;
+    }
+
+    const contentType = FORMAT_TYPES[metadata.format];
+    if (!contentType) {
+        return null;
+    }
+
+    // rotate() applies the EXIF orientation, so phone photos are not shown sideways
+    const thumbnail = await sharp(buffer)
+        .rotate()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: "inside", withoutEnlargement: true })
+        .webp()
+        .toBuffer();
+
+    return { contentType, width: metadata.width, height: metadata.height, thumbnail };
+}
+
+// write a buffer into GridFS, returns the file id
+function writeFile(bucket, filename, buffer, contentType, metadata) {
+    return new Promise(function (resolve, reject) {
+        const stream = bucket.openUploadStream(filename, { metadata: { ...metadata, contentType } });
+        stream.once("error", reject);
+        stream.once("finish", () => resolve(stream.id));
+        stream.end(buffer);
+    });
+}
+
+// Store an uploaded image and its thumbnail
+//   metadata: { recipe_id, step, user_id }, returns the reference kept on the recipe
+async function saveImage(db, file, processed, metadata) {
+    const bucket = imageBucket(db);
+    const image_id = await writeFile(bucket, file.originalname, file.buffer, processed.contentType, { ...metadata, kind: "original" });
+    const thumbnail_id = await writeFile(bucket, `thumbnail-${file.originalname}`, processed.thumbnail, "image/webp",
+        { ...metadata, kind: "thumbnail", original_id: image_id });
+
+    return {
+        image_id,
+        thumbnail_id,
+        contentType: processed.contentType,
+        width: processed.width,
+        height: processed.height,
+        uploadedAt: new Date()
+    }
+}
+
+// Delete the GridFS files of one image reference ({ image_id, thumbnail_id }), missing files are ignored
+async function deleteImage(db, image) {
+    if (!image) {
+        return;
+    }
+    const bucket = imageBucket(db);
+    for (const id of [image.image_id, image.thumbnail_id]) {
+        try {
+            await bucket.delete(id);
+        } catch (error) {
+            if (!/file not found/i.test(error.message)) {
+                throw error;
+            }
+        }
+    }
+}
+
+// Delete every image of a recipe, including the step images
+async function deleteRecipeImages(db, recipeId) {
+    const bucket = imageBucket(db);
+    const files = await bucket.find({ "metadata.recipe_id": recipeId }).project({ _id: 1 }).toArray();
+    for (const file of files) {
+        await bucket.delete(file._id);
+    }
+    return files.length;
+}
+
+module.exports = {
+    IMAGE_TYPES, MAX_IMAGE_BYTES, imageBucket, imageUpload, processImage, saveImage, deleteImage, deleteRecipeImages
+}
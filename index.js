@@ -5,58 +5,135 @@ const cors = require('cors');
 const { connect } = require("./db");
 const { ObjectId } = require('mongodb');
 const { BSONError } = require('mongodb/lib/bson'); // Import the internal BSONError
-const { ai, generateSearchParams, generateRecipe, translateRecipe } = require('./gemini');
+const { ai, generateSearchParams, generateRecipe, translateRecipe, suggestMealPlan } = require('./gemini');
 //const e = require('express');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
-const { verifyToken } = require("./middlewares");
+const crypto = require('crypto');
+const { verifyToken, optionalToken, requireRole, ROLES } = require("./middlewares");
+const { sendMail } = require("./mailer");
+const { adjustRecipe } = require("./units");
+const { buildShoppingList, normalizeIngredientName } = require("./shoppingList");
+const { DAYS, SLOTS, weekStartOf, addDays, summarizeMealPlan } = require("./mealPlans");
+const { ALLERGENS, DEFAULT_INGREDIENT_FLAGS, computeDietaryFlags } = require("./dietary");
+const { toJsonLd, fromJsonLd, extractRecipes } = require("./jsonld");
+const { diffDocuments } = require("./diff");
+const { NUTRIENTS, DEFAULT_NUTRITION_FACTS, computeNutrition } = require("./nutrition");
+const {
+    recipeSchema, storedRecipeSchema, reviewSchema, userSchema, loginSchema, aiRecipeSchema, passwordResetSchema, passwordChangeSchema,
+    validate, validateBody, coerce, toMongoJsonSchema
+} = require("./validation");
+const { imageBucket, imageUpload, processImage, saveImage, deleteImage, deleteRecipeImages } = require("./images");
 
 // SETUP EXPRESS
 const app = express();
 app.use(cors()); // enable CORS for API
-app.use(express.json()); // tell Express that we are sending and reciving JSON
-
-// generate JWT upon successful login 
-function generateAccessToken(id, email) {
+// tell Express that we are sending and reciving JSON
+//   except for the bulk import, which reads its own body with a larger limit
+const IMPORT_LIMIT = "10mb";
+app.use(express.json({ type: req => req.path !== "/recipes/import" && Boolean(req.is("application/json")) }));
+
+// access tokens are short lived, the session is kept alive with the refresh token
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 14;
+
+// generate JWT upon successful login or token refresh
+//   sid & gen tie the JWT to the server side session, so verifyToken can reject it
+//   once the session is revoked or its refresh token has been rotated
+function generateAccessToken(id, email, role, session) {
     // jwt.sign creates a JWT
     // first parameter -> object payload, or token data, the data that is in the JWT (i.e "claims")
     // second parameter -> your secret key
     // third parameter -> options object
     return jwt.sign({
         "user_id": id,
-        "email": email
+        "email": email,
+        "role": role || "user",
+        "sid": session._id,
+        "gen": session.generation
     }, process.env.TOKEN_SECRET, {
         // m = minutes, h = hours, s = seconds, d = days, w = weeks
-        "expiresIn": "2w"
+        "expiresIn": ACCESS_TOKEN_EXPIRES_IN
     });
 }
 
+// refresh tokens are random strings, only their SHA-256 hash is stored in the database
+function generateRefreshToken() {
+    return crypto.randomBytes(48).toString('hex');
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Start a login session for the user, returns the token pair for the response
+async function createSession(db, user) {
+    const refreshToken = generateRefreshToken();
+    const session = {
+        _id: new ObjectId(),
+        user_id: user._id,
+        refreshTokenHash: hashToken(refreshToken),
+        previousTokenHashes: [],
+        generation: 1,
+        createdAt: new Date(),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+        revokedAt: null
+    }
+    await db.collection('sessions').insertOne(session);
+
+    return {
+        accessToken: generateAccessToken(user._id, user.email, user.role, session),
+        refreshToken
+    }
+}
+
+// password reset tokens are single use and expire after RESET_TOKEN_MINUTES
+const RESET_TOKEN_MINUTES = Number(process.env.RESET_TOKEN_MINUTES) || 30;
+
+// emails are stored trimmed and in lowercase so that login and the unique index are case insensitive
+function normalizeEmail(email) {
+    return typeof email === "string" ? email.trim().toLowerCase() : "";
+}
+
+function isValidEmail(email) {
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+// Revoke every session of a user, e.g. after a password change
+async function revokeUserSessions(db, userId) {
+    await db.collection('sessions').updateMany(
+        { user_id: userId, revokedAt: null },
+        { $set: { revokedAt: new Date() } });
+}
+
 // SETUP DATABASE
 const mongoUri = process.env.MONGO_URI;   //from Compass cluster connection string 
 const dbName = "recipe_book";
 
 // Validate recipe for POST and PUT
-async function validateRecipe(db, request) {
-    const { name, cuisine, prepTime, cookTime, servings, ingredients, instructions, tags } = request;
-
-    // basic validation - all components are provided 
-    if (!name || !cuisine || !ingredients || !instructions || !tags || !prepTime || !cookTime || !servings) {
+//   types, ranges & array shapes against recipeSchema, then cuisine and tags against the catalog
+//   errors is the list of { field, message }, error a summary for older clients
+//   numbers sent as strings (e.g. "prepTime": "30") are accepted, see coerce()
+async function validateRecipe(db, body) {
+    const request = coerce(recipeSchema, body === undefined ? {} : body);
+    const errors = validate(recipeSchema, request);
+    if (errors.length > 0) {
         return {
-            "success": false,
-            "error": "Missing fields",
+            success: false,
+            error: "Validation failed",
+            errors
         }
     }
 
+    const { name, cuisine, prepTime, cookTime, servings, ingredients, instructions, tags } = request;
+
     // validate the cuisine
     const cuisineDoc = await db.collection('cuisines').findOne({
         name: cuisine
     });
 
     if (!cuisineDoc) {
-        return {
-            "success": false,
-            "error": "Invalid cuisine"
-        }
+        errors.push({ field: "cuisine", message: `Unknown cuisine: ${cuisine}` });
     }
 
     // validate the tags
@@ -68,11 +145,17 @@ async function validateRecipe(db, request) {
         }
     }).toArray();
 
-    // check if the number of tags that we have found matches the length of the tags array
-    if (tagDocs.length != tags.length) {
+    // report the tags that were not found
+    const unknownTags = tags.filter(tag => !tagDocs.some(tagDoc => tagDoc.name === tag));
+    if (unknownTags.length > 0) {
+        errors.push({ field: "tags", message: `Unknown tags: ${unknownTags.join(", ")}` });
+    }
+
+    if (errors.length > 0) {
         return {
             success: false,
-            error: "One or more tags is invalid"
+            error: "Validation failed",
+            errors
         }
     }
 
@@ -87,376 +170,3207 @@ async function validateRecipe(db, request) {
         servings,
         ingredients,
         instructions,
-        tags: tagDocs
+        tags: tagDocs,
+        ...await getDietaryFlags(db, ingredients),
+        nutrition: await getNutrition(db, ingredients, servings)
     }
 
     return {
         success: true,
         newRecipe: newRecipe,
-        error: null
+        error: null,
+        errors: []
     }
 
 }
 
-// main function for routes 
-async function main() {
-    const db = await connect(mongoUri, dbName);
+// fields the recipe search can be sorted on, mapped to the document field
+const SORT_FIELDS = {
+    "prepTime": "prepTime",
+    "cookTime": "cookTime",
+    "name": "name",
+    "rating": "averageRating",
+    "calories": "nutrition.calories",
+    "protein": "nutrition.protein"
+}
 
-    // ROUTES - default
-    app.get('', function (req, res) {
-        res.json({
-            "message": "Hello world"
-        })
-    });
+// escape the characters that have a meaning in a regular expression, e.g. "(", "." or "*"
+function escapeRegExp(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
 
-    // READ: recipes Search using Query String parameter
-    // example: ?name=chicken&tags=popular,spicy&ingredients=chicken,yogurt
+// ingredients most kitchens always have, ignored by "what can I cook" unless the user says otherwise
+//   compared with the whole ingredient name, so "coconut water" and "garlic salt" still count
+const PANTRY_STAPLES = [
+    "salt", "sea salt", "kosher salt", "water", "black pepper", "ground pepper", "ground black pepper", "pepper",
+    "salt and pepper", "ice", "cooking oil", "vegetable oil", "olive oil"
+];
+
+// read page & limit from query string, example: ?page=2&limit=10
+//   page starts from 1, limit is capped so that one request cannot pull the whole collection
+function parsePagination(query, defaultLimit = 10, maxLimit = 100) {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), maxLimit);
+    return {
+        page,
+        limit,
+        skip: (page - 1) * limit
+    }
+}
 
-    app.get('/recipes/search', async function (req, res) {
-        //    console.log(req.query);
-        const name = req.query.name;
-        const tags = req.query.tags;
-        const ingredients = req.query.ingredients;
+// Deleted recipes go to the trash first (deletedAt & deletedBy set) and are hidden everywhere
+//   { deletedAt: null } also matches recipes that were never deleted and have no deletedAt
+const NOT_TRASHED = { deletedAt: null };
 
-        const criteria = {};     //get all recipes if criteria is an empty object 
+// days a recipe stays in the trash before it is purged for good
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
 
-        // search criteria:  by string patterns using regular expression
-        if (name) {
-            criteria["name"] = {
-                $regex: name,
-                $options: "i"
-            }
+// Build recipe search criteria from query string: name, tags and ingredients
+//   get all recipes if criteria is an empty object
+function buildSearchCriteria(query) {
+    const { q, name, tags, ingredients, minRating, excludeTags, excludeIngredients, allergenFree, diet, maxCalories, minProtein, maxFat, maxCarbs, maxSodium } = query;
+    const criteria = { ...NOT_TRASHED };
+
+    // search criteria: full text over name, ingredients, instructions and tags (text index recipe_text)
+    //   supports phrases and negation, example ?q="green curry" chicken -peanut
+    if (q) {
+        criteria["$text"] = {
+            $search: q
         }
+    }
 
-        // search criteria: by tags
-        if (tags) {
-            criteria["tags.name"] = {
-                $in: tags.split(",")
-            }
+    // search criteria:  by string patterns using regular expression
+    //   the user's text is escaped, so characters like ( or . are matched as they are
+    if (name) {
+        criteria["name"] = {
+            $regex: escapeRegExp(name),
+            $options: "i"
         }
+    }
 
-        // search criteria:  use $all with regular expressions
-        //   using arrow function to convert a comma-separated string 
-        //   into array of case insenstive regular expression objects:
+    // search criteria: by tags, and without the excluded tags
+    if (tags || excludeTags) {
+        criteria["tags.name"] = {};
+        if (tags) {
+            criteria["tags.name"].$in = tags.split(",");
+        }
+        if (excludeTags) {
+            criteria["tags.name"].$nin = excludeTags.split(",");
+        }
+    }
 
-        if (ingredients) {
-            const regularExpressionArray = ingredients.split(",").map(
-                ingredient => new RegExp(ingredient, 'i')
-            );
+    // search criteria:  use $all with regular expressions
+    //   using arrow function to convert a comma-separated string 
+    //   into array of case insenstive regular expression objects:
+    if (ingredients) {
+        const regularExpressionArray = ingredients.split(",").map(
+            ingredient => new RegExp(escapeRegExp(ingredient), 'i')
+        );
 
-            criteria['ingredients.name'] = {
-                $all: regularExpressionArray
-            }
+        criteria['ingredients.name'] = {
+            $all: regularExpressionArray
         }
+    }
 
-        // debug search criteria in case of doubt
-        console.log(criteria);
+    // search criteria: none of the ingredients may match any excluded one, example ?excludeIngredients=peanut,shrimp
+    if (excludeIngredients) {
+        criteria['ingredients.name'] = {
+            ...criteria['ingredients.name'],
+            $nin: excludeIngredients.split(",").map(ingredient => new RegExp(escapeRegExp(ingredient), 'i'))
+        }
+    }
 
-        // search recipes: only limited recipe info is present including _Id object
-        try {
-            const recipes = await db.collection('recipes').find(criteria).project({
-                name: 1, cuisine: 1, tags: 1, prepTime: 1
-            }).toArray();
-            res.json({
-                "recipes": recipes
-            })
-        } catch (error) {
-            console.error("Error fetching recipes:", error);
-            res.status(500).json({ error: "Internal server error" });
+    // search criteria: by the derived flags, example ?allergenFree=nuts,dairy&diet=vegetarian
+    //   recipes without flags are left out, nothing is known about their allergens
+    if (allergenFree) {
+        criteria["allergens"] = {
+            $exists: true,
+            $nin: allergenFree.split(",")
         }
-    })
+    }
+    if (diet) {
+        criteria["diets"] = {
+            $all: diet.split(",")
+        }
+    }
 
-    // READ a recipe detail by ID via query string, example ?id=695f64e320c0ab9c7a35125d 
-    app.get('/recipes/detail', async function (req, res) {
-        try {
-            const recipeId = req.query.id;
-            const recipe = await db.collection('recipes').findOne(
-                { _id: new ObjectId(recipeId) },
-                { projection: { _Id: 0 } });
+    // search criteria: by average rating of the reviews, example ?minRating=4
+    if (minRating && !isNaN(minRating)) {
+        criteria["averageRating"] = {
+            $gte: Number(minRating)
+        }
+    }
 
-            if (!recipe) {
-                return res.status(404).json({ error: "recipe not found." });
+    // search criteria: by nutrition per serving, example ?maxCalories=500&minProtein=20
+    //   only recipes whose every ingredient was counted, the others would pass any maximum
+    const nutritionLimits = [
+        ["calories", "$lte", maxCalories], ["protein", "$gte", minProtein],
+        ["fat", "$lte", maxFat], ["carbs", "$lte", maxCarbs], ["sodium", "$lte", maxSodium]
+    ];
+    for (const [nutrient, operator, limit] of nutritionLimits) {
+        if (limit && !isNaN(limit)) {
+            criteria[`nutrition.${nutrient}`] = {
+                [operator]: Number(limit)
             }
-            res.json({ recipe });
-        } catch (error) {
+            criteria["nutrition.complete"] = true;
+        }
+    }
 
-            // Handles cases where the provided recipeId is not a valid ObjectId format
-            if (error instanceof BSONError) {
-                return res.status(400).json({ error: "Invalid recipe ID format." });
-            }
-            console.error("Error fetching recipe:", error);
-            res.status(500).json({ error: "Internal server error" });
+    return criteria;
+}
 
-        }
-    })
+// The owner of a recipe (user_id stamped at creation) can update and delete it,
+//   editors can update any recipe and admins can update or delete any recipe
+//   recipes created before ownership was introduced have no user_id and are editor/admin only
+// action: "update" or "delete"
+function canModifyRecipe(recipe, tokenData, action) {
+    if (tokenData.role === "admin") {
+        return true;
+    }
+    if (tokenData.role === "editor" && action === "update") {
+        return true;
+    }
+    return Boolean(recipe.user_id) && recipe.user_id.toString() === tokenData.user_id;
+}
 
-    // CREATE (post) recipe  
-    app.post('/recipes/create', async function (req, res) {
-        // use object destructuring to extract each components from req.body
-        const { name, cuisine, prepTime, cookTime, servings, ingredients, instructions, tags } = req.body;
+// Load a recipe and check that the logged in user may update or delete it
+//   returns { recipe } when allowed, otherwise { status, error } for the response
+async function authorizeRecipeChange(db, recipeId, tokenData, action) {
+    const recipe = await db.collection('recipes').findOne(
+        { _id: new ObjectId(recipeId), ...NOT_TRASHED },
+        { projection: { user_id: 1 } });
 
-        // basic validation to ensure that all components are available 
-        if (!name || !cuisine || !ingredients || !instructions || !tags || !prepTime || !cookTime || !servings) {
-            // HTTP 400 error code = Bad request
-            return res.status(400).json({
-                error: "Missing required fields"
-            })
-        }
+    if (!recipe) {
+        return { status: 404, error: "Recipe not found" };
+    }
+    if (!canModifyRecipe(recipe, tokenData, action)) {
+        return { status: 403, error: "You are not allowed to change this recipe" };
+    }
+    return { recipe };
+}
 
-        // validate the cuisine
-        const cuisineDoc = await db.collection('cuisines').findOne({
-            name: cuisine
-        });
+// Load a review and check that the logged in user wrote it
+//   admins can moderate (delete) any review, but only the reviewer can edit it
+//   returns { review } when allowed, otherwise { status, error } for the response
+async function authorizeReviewChange(db, recipeId, reviewId, tokenData, action) {
+    const recipe = await db.collection('recipes').findOne(
+        { _id: recipeId, ...NOT_TRASHED },
+        { projection: { reviews: { $elemMatch: { review_id: reviewId } } } });
 
-        if (!cuisineDoc) {
-            return res.status(400).json({
-                error: "Error. Cuisine not found"
-            })
-        }
+    if (!recipe) {
+        return { status: 404, error: "Recipe not found" };
+    }
+    if (!recipe.reviews || recipe.reviews.length === 0) {
+        return { status: 404, error: "Review not found" };
+    }
 
-        // validate the tags - find the tags from the database
-        const tagDocs = await db.collection('tags').find({
-            "name": {
-                $in: tags
-            }
-        }).toArray();
+    const review = recipe.reviews[0];
+    if (action === "delete" && tokenData.role === "admin") {
+        return { review };
+    }
+    if (!review.user_id || review.user_id.toString() !== tokenData.user_id) {
+        return { status: 403, error: "You are not allowed to change this review" };
+    }
+    return { review };
+}
 
-        // validate the tags - check if the number of tags provided = that of tags found
-        if (tagDocs.length != tags.length) {
-            return res.status(400).json({
-                'error': "One or more tags is invalid"
-            })
+// Recalculate averageRating & reviewCount from the embedded reviews
+//   done with an update pipeline so the numbers are computed on the server in one atomic step
+async function updateRatingStats(db, recipeId) {
+    await db.collection('recipes').updateOne({ _id: recipeId }, [
+        {
+            $set: {
+                reviewCount: { $size: { $ifNull: ["$reviews", []] } },
+                averageRating: { $round: [{ $avg: "$reviews.rating" }, 2] }
+            }
         }
+    ]);
+}
 
-        // prepare the recipe object
-        const newRecipe = {
-            _id: new ObjectId(),  // optional, 'cos when Mongo inserts a new document, it will ensure that an _id
-            name,
-            cuisine: {
-                _id: cuisineDoc._id,
-                name: cuisineDoc.name
-            },
-            prepTime,
-            cookTime,
-            servings,
-            ingredients,
-            instructions,
-            tags: tagDocs
-        }
+// English is the language recipes are stored in, e.g. "English", "en", "en-GB"
+function isEnglish(language) {
+    return /^(english|en)([-_].*)?$/i.test(String(language).trim());
+}
 
-        // create the recipe in database 
-        try {
-            const result = await db.collection('recipes').insertOne(newRecipe);
-            res.status(201).json({
-                message: "Recipe created",
-                recipeId: result.insertedId
-            })
-        } catch (error) {
-            console.error("Error fetching recipe:", error);
-            res.status(500).json({ error: "Internal server error" });
-        }
-    })
+// The parts of a recipe that are translated: name, ingredient names and instruction steps
+function toTranslatable(recipe) {
+    return {
+        _id: recipe._id.toString(),
+        name: recipe.name,
+        ingredients: (recipe.ingredients || []).map(ingredient => ingredient.name),
+        instructions: recipe.instructions || []
+    }
+}
 
-    // UPDATE(put) a recipe via id parameter, example: /recipes/695f64e320c0ab9c7a35125d
-    //.  new recipe is provide as an object in the PUT request body
-    app.put('/recipes/update/:id', async function (req, res) {
-        try {
-            const recipeId = req.params.id;
-            console.log(recipeId);
-            const status = await validateRecipe(db, req.body);
-            if (status.success) {
-                // update the recipe
-                const result = await db.collection('recipes').updateOne(
-                    { _id: new ObjectId(recipeId) },
-                    { $set: status.newRecipe });
+// Put translated texts back into the recipes, matched by _id
+//   quantities & units stay as they are, a recipe whose translation does not line up is left untranslated
+function applyTranslations(recipes, translations) {
+    const translationsById = new Map(translations.map(translation => [String(translation._id), translation]));
 
-                if (result.matchedCount === 0) {
-                    return res.status(404).json({ error: 'Recipe not found' });
-                }
+    return recipes.map(recipe => {
+        const translation = translationsById.get(recipe._id.toString());
+        const ingredients = recipe.ingredients || [];
+        if (!isCompleteTranslation(recipe, translation)) {
+            return { ...recipe, translated: false };
+        }
 
-                res.json({
-                    'message': "Recipe has been updated successful"
-                })
-            } else {
-                res.status(400).json({
-                    error: status.error
-                })
-            }
-        } catch (error) {
-            console.error('Error updating recipe:', error);
-            res.status(500).json({ error: 'Internal server error' });
+        return {
+            ...recipe,
+            name: translation.name,
+            ingredients: ingredients.map((ingredient, index) => ({
+                ...ingredient,
+                name: translation.ingredients[index]
+            })),
+            instructions: translation.instructions,
+            translated: true
         }
+    });
+}
 
-    })
-    // DELETE recipe via id parameter, exmple: /recipes/<ID from database or search result>
-    app.delete('/recipes/delete/:id', async function (req, res) {
-        try {
-            const recipeId = req.params.id;
-            const results = await db.collection('recipes').deleteOne({
-                _id: new ObjectId(recipeId)
-            });
+// a translation can only be used when it has one entry per ingredient and per instruction step of the recipe
+function isCompleteTranslation(recipe, translation) {
+    return Boolean(translation) &&
+        Array.isArray(translation.ingredients) && translation.ingredients.length === (recipe.ingredients || []).length &&
+        Array.isArray(translation.instructions) && translation.instructions.length === (recipe.instructions || []).length;
+}
 
-            if (results.deletedCount === 0) {
-                return res.status(404).json({
-                    "error": "Not found"
-                })
+// Translations are cached in recipe_translations per recipe, language and recipe version
+//   version counts the updates of a recipe, it is missing (0) until the first update
+//   returns translations for all the recipes, only the ones not cached yet are sent to AI
+async function getTranslations(db, recipes, language) {
+    const lang = String(language).trim().toLowerCase();
+    const cached = await db.collection('recipe_translations').find({
+        lang,
+        $or: recipes.map(recipe => ({ recipe_id: recipe._id, version: recipe.version || 0 }))
+    }).toArray();
+
+    const translations = cached.map(translation => ({ ...translation, _id: translation.recipe_id }));
+    const cachedIds = new Set(cached.map(translation => translation.recipe_id.toString()));
+    const misses = recipes.filter(recipe => !cachedIds.has(recipe._id.toString()));
+
+    if (misses.length > 0) {
+        const translated = await translateRecipe(misses.map(toTranslatable), lang);
+        for (const recipe of misses) {
+            // an incomplete translation is not cached, the next request asks AI again
+            const translation = translated.find(item => String(item._id) === recipe._id.toString());
+            if (!isCompleteTranslation(recipe, translation)) {
+                continue;
             }
 
-            res.json({
-                'message': 'Deleted successfully'
-            })
-        } catch (e) {
-            res.status(500).json({
-                'error': 'Internal Server Error'
-            })
+            const key = { recipe_id: recipe._id, lang, version: recipe.version || 0 };
+            await db.collection('recipe_translations').updateOne(key, {
+                $set: {
+                    name: translation.name,
+                    ingredients: translation.ingredients,
+                    instructions: translation.instructions,
+                    createdAt: new Date()
+                }
+            }, { upsert: true });
+            translations.push(translation);
         }
+    }
 
-    })
+    return translations;
+}
 
-    // REVIEW (post) recipe, example /recipes/695f64e320c0ab9c7a35125d/reviews
-    app.post('/recipes/:id/reviews', async (req, res) => {
-        try {
-            const recipeId = req.params.id;
-            const { user, rating, comment } = req.body;
+// Load the recipes picked for a shopping list, request body format:
+//   { "recipes": [ { "id": "695f64e320c0ab9c7a35125d", "servings": 6 }, { "id": "695f64e320c0ab9c7a35125e" } ] }
+//   returns { entries } for buildShoppingList, otherwise { status, error } for the response
+async function loadShoppingListRecipes(db, picks) {
+    if (!Array.isArray(picks) || picks.length === 0) {
+        return { status: 400, error: "Provide the recipes for the shopping list" };
+    }
+    for (const pick of picks) {
+        if (!pick || !ObjectId.isValid(pick.id)) {
+            return { status: 400, error: "Invalid recipe ID format." };
+        }
+        if (pick.servings !== undefined && !(Number(pick.servings) > 0)) {
+            return { status: 400, error: "servings must be a positive number" };
+        }
+    }
 
-            // Basic validation
-            if (!user || !rating || !comment) {
-                return res.status(400).json({ error: 'Missing required fields' });
-            }
+    const recipes = await db.collection('recipes').find({
+        _id: { $in: picks.map(pick => new ObjectId(pick.id)) },
+        ...NOT_TRASHED
+    }).project({ name: 1, servings: 1, ingredients: 1 }).toArray();
 
-            // Create the new review object
-            const newReview = {
-                review_id: new ObjectId(),
-                user,
-                rating: Number(rating),
-                comment,
-                date: new Date()
-            };
+    const entries = [];
+    for (const pick of picks) {
+        const recipe = recipes.find(recipe => recipe._id.toString() === pick.id);
+        if (!recipe) {
+            return { status: 404, error: `Recipe not found: ${pick.id}` };
+        }
+        entries.push({ recipe, servings: pick.servings ? Number(pick.servings) : undefined });
+    }
+    return { entries };
+}
 
-            // Add the review to the recipe
-            const result = await db.collection('recipes').updateOne(
-                { _id: new ObjectId(recipeId) },
-                { $push: { reviews: newReview } }
-            );
+// Meal plan of a user for a week, laid out day by day with the recipe summaries and daily times
+async function loadMealPlan(db, userId, weekStart) {
+    const plan = await db.collection('meal_plans').findOne({ user_id: userId, weekStart });
+    const entries = plan ? plan.entries : [];
 
-            if (result.matchedCount === 0) {
-                return res.status(404).json({ error: 'Recipe not found' });
-            }
+    const recipes = await db.collection('recipes').find({
+        _id: { $in: entries.map(entry => entry.recipe_id) },
+        ...NOT_TRASHED
+    }).project({ name: 1, cuisine: 1, prepTime: 1, cookTime: 1 }).toArray();
 
-            res.status(201).json({
-                message: 'Review added successfully',
-                reviewId: newReview.review_id
-            });
-        } catch (error) {
-            console.error('Error adding review:', error);
-            res.status(500).json({ error: 'Internal server error' });
-        }
-    });
+    return {
+        weekStart,
+        days: summarizeMealPlan(weekStart, entries, recipes)
+    }
+}
 
+// Clean up everything that points to a deleted recipe: translations, revisions, images, favorites, cookbooks and meal plans
+async function removeRecipeReferences(db, recipeId) {
+    await db.collection('recipe_translations').deleteMany({ recipe_id: recipeId });
+    await db.collection('recipe_revisions').deleteMany({ recipe_id: recipeId });
+    await deleteRecipeImages(db, recipeId);
+    await db.collection('users').updateMany({ favorites: recipeId }, { $pull: { favorites: recipeId } });
+    await db.collection('cookbooks').updateMany({ recipe_ids: recipeId }, { $pull: { recipe_ids: recipeId } });
+    await db.collection('meal_plans').updateMany({ "entries.recipe_id": recipeId }, { $pull: { entries: { recipe_id: recipeId } } });
+}
 
-    // Usecase - recipe search using natural language and translation  
-    // 1. Call AI to convert user's natural multilingual languages query into a structured search params 
-    //    in English using available tags, cuisines and ingredients avaiable from database. 
-    // 2. Prompt AI in the same call to infer the main user language from the query      
-    // 3. Find receipts from MongoDB using criteria formed from the above AI response
-    // 4. Call AI to translate the recipes into human friendly format in user language 
-    app.get('/ai/recipes', async function (req, res) {
-        const query = req.query.q;
+// Delete the recipes that have been in the trash longer than TRASH_RETENTION_DAYS, with everything that refers to them
+//   returns the number of recipes purged
+async function purgeTrash(db) {
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    const expired = await db.collection('recipes')
+        .find({ deletedAt: { $lt: cutoff } })
+        .project({ _id: 1 })
+        .toArray();
+
+    for (const { _id } of expired) {
+        await db.collection('recipes').deleteOne({ _id });
+        await removeRecipeReferences(db, _id);
+    }
+    return expired.length;
+}
 
-        const allCuisines = await db.collection('cuisines').distinct('name');
-        const allTags = await db.collection('tags').distinct('name');
-        const allIngredients = await db.collection('recipes').distinct('ingredients.name');
+// Store an uploaded image for a recipe, or for one of its instruction steps (numbered from 1), replacing the old one
+//   returns { image } when stored, otherwise { status, error } for the response
+async function storeRecipeImage(db, recipeId, step, req) {
+    const access = await authorizeRecipeChange(db, recipeId, req.tokenData, "update");
+    if (access.error) {
+        return { status: access.status, error: access.error };
+    }
 
-        // call AI to generate strutured search parameters
-        const searchParams = await generateSearchParams(query, allTags, allCuisines, allIngredients);
-        const criteria = {};
+    const recipe = await db.collection('recipes').findOne(
+        { _id: new ObjectId(recipeId) },
+        { projection: { image: 1, stepImages: 1, instructions: 1 } });
+    if (step !== null && !(Number.isInteger(step) && step >= 1 && step <= (recipe.instructions || []).length)) {
+        return { status: 400, error: `step must be a number from 1 to ${(recipe.instructions || []).length}` };
+    }
 
-        if (searchParams.cuisines && searchParams.cuisines.length > 0) {
-            criteria["cuisine.name"] = {
-                $in: searchParams.cuisines
-            }
-        }
+    const processed = await processImage(req.file.buffer);
+    if (!processed) {
+        return { status: 400, error: "The file is not a valid JPEG, PNG or WebP image" };
+    }
 
-        if (searchParams.ingredients && searchParams.ingredients.length > 0) {
-            criteria["ingredients.name"] = {
-                $all: searchParams.ingredients
-            }
-        }
+    const image = await saveImage(db, req.file, processed, {
+        recipe_id: recipe._id,
+        step,
+        user_id: new ObjectId(req.tokenData.user_id)
+    });
 
-        if (searchParams.tags && searchParams.tags.length > 0) {
-            criteria['tags.name'] = {
-                $in: searchParams.tags
+    if (step === null) {
+        await db.collection('recipes').updateOne({ _id: recipe._id }, { $set: { image } });
+        await deleteImage(db, recipe.image);
+    } else {
+        // replace the image of the step in one update, so a request running at the same time never
+        //   leaves the step with two images or none, the one it replaced is read from the same update
+        const before = await db.collection('recipes').findOneAndUpdate({ _id: recipe._id }, [
+            {
+                $set: {
+                    stepImages: {
+                        $concatArrays: [
+                            {
+                                $filter: {
+                                    input: { $ifNull: ["$stepImages", []] },
+                                    as: "stepImage",
+                                    cond: { $ne: ["$$stepImage.step", step] }
+                                }
+                            },
+                            [{ $literal: { step, ...image } }]
+                        ]
+                    }
+                }
             }
-        }
+        ], { returnDocument: "before", projection: { stepImages: 1 } });
+        await deleteImage(db, ((before && before.stepImages) || []).find(stepImage => stepImage.step === step));
+    }
+    return { image };
+}
 
-        const userLanguage = searchParams.userLanguage;
-        const recipes = await db.collection('recipes').find(criteria).toArray();
+// Remove the image of a recipe, or of one of its steps
+//   returns {} when removed, otherwise { status, error } for the response
+async function removeRecipeImage(db, recipeId, step, tokenData) {
+    const access = await authorizeRecipeChange(db, recipeId, tokenData, "update");
+    if (access.error) {
+        return { status: access.status, error: access.error };
+    }
 
-        // call AI to translate recipes
-        console.log(userLanguage);
-        const translatedRecipe = await translateRecipe(recipes, userLanguage);
-        console.log(translatedRecipe);
+    const recipe = await db.collection('recipes').findOne(
+        { _id: new ObjectId(recipeId) },
+        { projection: { image: 1, stepImages: 1 } });
+    const image = step === null ? recipe.image : (recipe.stepImages || []).find(stepImage => stepImage.step === step);
+    if (!image) {
+        return { status: 404, error: "Image not found" };
+    }
 
-        res.send(`${translatedRecipe}`)   
-    })
+    await db.collection('recipes').updateOne({ _id: recipe._id },
+        step === null ? { $unset: { image: "" } } : { $pull: { stepImages: { step } } });
+    await deleteImage(db, image);
+    return {};
+}
 
-    // Use AI to generte a structured recipe from user's natural langauage description 
-    app.post('/ai/recipes', async function (req, res) {
-        // recipe text from the request body
-        const recipeText = req.body.recipeText; 
-        const allCuisines = await db.collection('cuisines').distinct('name');
-        const allTags = await db.collection('tags').distinct('name');
-
-        // call AI to generate the recipe 
-        const newRecipe = await generateRecipe(recipeText, allCuisines, allTags);
-
-        // get the cuisine document
-        const cuisineDoc = await db.collection('cuisines').findOne({
-            "name": newRecipe.cuisine
-        });
+// Recipe summaries for a list of IDs, in the same order as the IDs (e.g. favorites, cookbooks)
+async function findRecipesInOrder(db, recipeIds) {
+    const recipes = await db.collection('recipes').find({ _id: { $in: recipeIds }, ...NOT_TRASHED })
+        .project({ name: 1, cuisine: 1, tags: 1, prepTime: 1, cookTime: 1, averageRating: 1, reviewCount: 1 })
+        .toArray();
+    const recipesById = new Map(recipes.map(recipe => [recipe._id.toString(), recipe]));
 
-        if (cuisineDoc) {
-            newRecipe.cuisine = cuisineDoc;
-        } else {
-            return res.status(404).json({
-                "error": "AI tried to use a cuisine that doesn't exist"
+    return recipeIds.map(id => recipesById.get(id.toString())).filter(Boolean);
+}
+
+// weights of the similar recipe score, each part is a number from 0 to 1
+//   ingredients & tags: shared / all (Jaccard), cuisine: same or not,
+//   rating: average rating / 5, reviews: cuisine & tags of the recipes the user rated 4 or 5
+const SIMILARITY_WEIGHTS = { ingredients: 0.5, tags: 0.3, cuisine: 0.2, rating: 0.1, reviews: 0.15 };
+const SIMILARITY_BOOSTS = ["rating", "reviews"];
+
+// at most this many candidates are scored, a common ingredient like "salt" would otherwise bring in the whole collection
+const SIMILARITY_CANDIDATES = Number(process.env.SIMILARITY_CANDIDATES) || 1000;
+
+// Recipes like the given one, best match first, in one aggregation over the recipes sharing an ingredient, tag or cuisine
+//   boost: which of SIMILARITY_BOOSTS to add, userId: the logged in user for the "reviews" boost
+//   returns recipe summaries with their score and what they have in common
+async function findSimilarRecipes(db, recipe, { limit, boost = SIMILARITY_BOOSTS, userId = null }) {
+    const ingredientNames = [...new Set((recipe.ingredients || [])
+        .map(ingredient => String(ingredient.name || "").trim().toLowerCase())
+        .filter(Boolean))];
+    const tagIds = (recipe.tags || []).map(tag => tag._id);
+    const cuisineId = recipe.cuisine ? recipe.cuisine._id : null;
+
+    // candidates share at least one ingredient, tag or the cuisine, found through the indexes on those fields
+    const candidates = [];
+    if (ingredientNames.length > 0) {
+        const storedNames = (recipe.ingredients || []).map(ingredient => ingredient.name).filter(Boolean);
+        candidates.push({ "ingredients.name": { $in: [...new Set([...storedNames, ...ingredientNames])] } });
+    }
+    if (tagIds.length > 0) {
+        candidates.push({ "tags._id": { $in: tagIds } });
+    }
+    if (cuisineId) {
+        candidates.push({ "cuisine._id": cuisineId });
+    }
+    if (candidates.length === 0) {
+        return [];
+    }
+
+    // what the user likes: cuisines & tags of the recipes they rated 4 or 5
+    let liked = { cuisineIds: [], tagIds: [] };
+    if (userId && boost.includes("reviews")) {
+        const [preferences] = await db.collection('recipes').aggregate([
+            { $match: { reviews: { $elemMatch: { user_id: userId, rating: { $gte: 4 } } }, ...NOT_TRASHED } },
+            { $group: { _id: null, cuisineIds: { $addToSet: "$cuisine._id" }, tagIds: { $push: { $ifNull: ["$tags._id", []] } } } },
+            {
+                $project: {
+                    cuisineIds: 1,
+                    tagIds: { $reduce: { input: "$tagIds", initialValue: [], in: { $setUnion: ["$$value", "$$this"] } } }
+                }
+            }
+        ]).toArray();
+        liked = preferences || liked;
+    }
+
+    const share = (shared, all) => ({ $divide: [{ $size: shared }, { $max: [1, { $size: all }] }] });
+    // $literal, so an ingredient name starting with "$" is not read as a field path
+    const names = { $literal: ingredientNames };
+
+    return await db.collection('recipes').aggregate([
+        { $match: { _id: { $ne: recipe._id }, $or: candidates, ...NOT_TRASHED } },
+        { $limit: SIMILARITY_CANDIDATES },
+        {
+            $addFields: {
+                ingredientNames: {
+                    $setUnion: [{
+                        $map: { input: { $ifNull: ["$ingredients", []] }, as: "ingredient", in: { $toLower: { $trim: { input: { $ifNull: ["$$ingredient.name", ""] } } } } }
+                    }]
+                },
+                tagIds: { $ifNull: ["$tags._id", []] }
+            }
+        },
+        {
+            $addFields: {
+                sharedIngredients: { $setIntersection: ["$ingredientNames", names] },
+                sharedTags: { $setIntersection: ["$tagIds", tagIds] },
+                sameCuisine: { $eq: ["$cuisine._id", cuisineId] }
+            }
+        },
+        {
+            $addFields: {
+                score: {
+                    $add: [
+                        { $multiply: [SIMILARITY_WEIGHTS.ingredients, share("$sharedIngredients", { $setUnion: ["$ingredientNames", names] })] },
+                        { $multiply: [SIMILARITY_WEIGHTS.tags, share("$sharedTags", { $setUnion: ["$tagIds", tagIds] })] },
+                        { $cond: ["$sameCuisine", SIMILARITY_WEIGHTS.cuisine, 0] },
+                        boost.includes("rating")
+                            ? { $multiply: [SIMILARITY_WEIGHTS.rating, { $divide: [{ $ifNull: ["$averageRating", 0] }, 5] }] }
+                            : 0,
+                        {
+                            $multiply: [SIMILARITY_WEIGHTS.reviews, {
+                                $add: [
+                                    { $cond: [{ $in: ["$cuisine._id", liked.cuisineIds] }, 0.5, 0] },
+                                    { $multiply: [0.5, share({ $setIntersection: ["$tagIds", liked.tagIds] }, "$tagIds")] }
+                                ]
+                            }]
+                        }
+                    ]
+                }
+            }
+        },
+        { $sort: { score: -1, averageRating: -1, _id: 1 } },
+        { $limit: limit },
+        {
+            $project: {
+                name: 1, cuisine: 1, tags: 1, prepTime: 1, cookTime: 1, averageRating: 1, reviewCount: 1, "image.thumbnail_id": 1,
+                score: { $round: ["$score", 3] },
+                common: {
+                    ingredients: "$sharedIngredients",
+                    tags: { $filter: { input: { $ifNull: ["$tags", []] }, as: "tag", cond: { $in: ["$$tag._id", tagIds] } } },
+                    cuisine: "$sameCuisine"
+                }
+            }
+        }
+    ]).toArray();
+}
+
+// the limit and boosts of a similar recipes request, example ?similar=5&boost=rating
+//   boost defaults to all of SIMILARITY_BOOSTS, an empty boost= turns them off
+function parseSimilarOptions(query, limit) {
+    //   ?boost=rating&boost=reviews is read like ?boost=rating,reviews
+    const boost = query.boost === undefined ? SIMILARITY_BOOSTS : [].concat(query.boost).join(",").split(",").filter(Boolean);
+    const invalid = boost.filter(name => !SIMILARITY_BOOSTS.includes(name));
+    if (invalid.length > 0) {
+        return { error: `Unknown boost: ${invalid.join(", ")}. Use any of: ${SIMILARITY_BOOSTS.join(", ")}` };
+    }
+    return { limit: Math.min(Math.max(parseInt(limit) || 5, 1), 20), boost };
+}
+
+// Read the records of an import request body
+//   JSON: a Recipe, an array of them or a @graph; NDJSON: one Recipe per line
+//   returns [{ record }] or [{ error }] per record, in the order they were sent
+function parseImportBody(req) {
+    if (typeof req.body !== "string") {
+        return extractRecipes(req.body).map(record => ({ record }));
+    }
+
+    if (req.is("application/ld+json")) {
+        try {
+            return extractRecipes(JSON.parse(req.body)).map(record => ({ record }));
+        } catch (error) {
+            return [{ error: "Invalid JSON" }];
+        }
+    }
+
+    return req.body.split(/\r?\n/).filter(line => line.trim()).flatMap(line => {
+        try {
+            const records = extractRecipes(JSON.parse(line));
+            return records.length > 0 ? records.map(record => ({ record })) : [{ error: "Not a schema.org Recipe" }];
+        } catch (error) {
+            return [{ error: "Invalid JSON" }];
+        }
+    });
+}
+
+// Keep only the recipe fields a user (or the AI) may provide, e.g. for drafts
+function pickRecipeFields(request) {
+    const { name, cuisine, prepTime, cookTime, servings, ingredients, instructions, tags } = request;
+    return { name, cuisine, prepTime, cookTime, servings, ingredients, instructions, tags };
+}
+
+// Check an AI generated recipe before it is saved, returns a list of warnings for the user to fix
+//   everything validateRecipe would reject (missing or invalid fields, unknown cuisine or tags)
+//   and ingredients without quantities
+async function checkRecipeDraft(db, recipe) {
+    const warnings = validate(recipeSchema, recipe);
+
+    if (typeof recipe.cuisine === "string" && recipe.cuisine && !(await db.collection('cuisines').findOne({ name: recipe.cuisine }))) {
+        warnings.push({ field: "cuisine", message: `Unknown cuisine: ${recipe.cuisine}` });
+    }
+
+    const tags = Array.isArray(recipe.tags) ? recipe.tags : [];
+    const knownTags = await db.collection('tags').distinct('name', { name: { $in: tags } });
+    const unknownTags = tags.filter(tag => !knownTags.includes(tag));
+    if (unknownTags.length > 0) {
+        warnings.push({ field: "tags", message: `Unknown tags: ${unknownTags.join(", ")}` });
+    }
+
+    const ingredients = Array.isArray(recipe.ingredients) ? recipe.ingredients : [];
+    ingredients.forEach((ingredient, index) => {
+        if (ingredient && (!ingredient.quantity || !String(ingredient.quantity).trim())) {
+            warnings.push({
+                field: `ingredients.${index}.quantity`,
+                message: `Ingredient without quantity: ${ingredient.name || "(unnamed)"}`
+            });
+        }
+    });
+
+    return warnings;
+}
+
+// Trim a cuisine or tag name from the request body, returns null when it is not usable
+function normalizeCatalogName(name) {
+    if (typeof name !== "string" || !name.trim()) {
+        return null;
+    }
+    return name.trim();
+}
+
+// Allergen & diet flags of a recipe from its ingredients, against the ingredient_flags mapping collection
+//   returns { allergens, diets } to be stored on the recipe
+async function getDietaryFlags(db, ingredients) {
+    const mappings = await db.collection('ingredient_flags').find({}).toArray();
+    return computeDietaryFlags(ingredients, mappings);
+}
+
+// Per serving nutrition of a recipe, against the nutrition_facts collection
+//   returns { calories, protein, fat, carbs, sodium, complete, unmatched } to be stored on the recipe
+async function getNutrition(db, ingredients, servings) {
+    const facts = await db.collection('nutrition_facts').find({}).toArray();
+    return computeNutrition(ingredients, servings, facts);
+}
+
+// Recipe revisions: a copy of the recipe content after every change, numbered like the recipe version
+//   { recipe_id, revision, action: "initial" | "update" | "revert", snapshot, user_id, createdAt }
+const REVISION_FIELDS = ["name", "cuisine", "prepTime", "cookTime", "servings", "ingredients", "instructions", "tags", "allergens", "diets", "nutrition"];
+
+function revisionSnapshot(recipe) {
+    const snapshot = {};
+    for (const field of REVISION_FIELDS) {
+        if (recipe[field] !== undefined) {
+            snapshot[field] = recipe[field];
+        }
+    }
+    return snapshot;
+}
+
+// Store a revision of the recipe content, tokenData is the user who made the change
+//   a revision that is already stored is kept, so two updates racing to store the "initial" one both succeed
+async function recordRevision(db, recipe, tokenData, action, extra = {}) {
+    await db.collection('recipe_revisions').updateOne(
+        { recipe_id: recipe._id, revision: recipe.version || 0 },
+        {
+            $setOnInsert: {
+                action,
+                snapshot: revisionSnapshot(recipe),
+                user_id: tokenData ? new ObjectId(tokenData.user_id) : (recipe.user_id || null),
+                ...extra,
+                createdAt: new Date()
+            }
+        },
+        { upsert: true });
+}
+
+// Update a recipe and record the change as a revision
+//   recipes from before revisions were kept get their current content stored first as the "initial" revision
+//   images of steps that no longer exist are deleted, e.g. step 5 when there are only 4 instructions left
+//   returns the updated recipe, or null when it does not exist
+async function updateRecipeWithRevision(db, recipeId, changes, tokenData, action, extra = {}) {
+    const before = await db.collection('recipes').findOneAndUpdate(
+        { _id: recipeId },
+        { $set: changes, $inc: { version: 1 } },
+        { returnDocument: "before" });
+
+    if (!before) {
+        return null;
+    }
+    await recordRevision(db, before, null, "initial");
+
+    if (Array.isArray(changes.instructions)) {
+        const stepCount = changes.instructions.length;
+        const removedImages = (before.stepImages || []).filter(stepImage => stepImage.step > stepCount);
+        if (removedImages.length > 0) {
+            await db.collection('recipes').updateOne({ _id: recipeId }, { $pull: { stepImages: { step: { $gt: stepCount } } } });
+            for (const image of removedImages) {
+                await deleteImage(db, image);
+            }
+        }
+    }
+
+    // a new version makes the cached translations stale
+    await db.collection('recipe_translations').deleteMany({ recipe_id: recipeId });
+
+    const after = { ...before, ...changes, version: (before.version || 0) + 1 };
+    await recordRevision(db, after, tokenData, action, extra);
+    return after;
+}
+
+// main function for routes 
+async function main() {
+    const db = await connect(mongoUri, dbName);
+    app.locals.db = db;   // used by middlewares, e.g. verifyToken checks the session
+
+    // sessions: lookup by refresh token, and let MongoDB remove them once expired
+    await db.collection('sessions').createIndex({ refreshTokenHash: 1 });
+    await db.collection('sessions').createIndex({ previousTokenHashes: 1 });
+    await db.collection('sessions').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+    // users: emails from before they were normalized are stored trimmed and in lowercase, so those users can still login
+    //   two accounts that only differ in case cannot both be kept, they are left as they are and logged to be merged by hand
+    const emailGroups = db.collection('users').aggregate([
+        { $match: { email: { $type: "string" } } },
+        { $group: { _id: { $toLower: { $trim: { input: "$email" } } }, users: { $push: { _id: "$_id", email: "$email" } } } },
+        { $match: { $expr: { $or: [{ $gt: [{ $size: "$users" }, 1] }, { $ne: [{ $arrayElemAt: ["$users.email", 0] }, "$_id"] }] } } }
+    ]);
+    for await (const group of emailGroups) {
+        if (group.users.length > 1) {
+            console.error(`Could not lowercase the emails of users ${group.users.map(user => user._id).join(", ")}, they all use ${group._id}`);
+            continue;
+        }
+        await db.collection('users').updateOne({ _id: group.users[0]._id }, { $set: { email: group._id } });
+    }
+
+    // users: one account per email, fails when the collection already holds duplicates
+    try {
+        await db.collection('users').createIndex({ email: 1 }, { unique: true });
+    } catch (error) {
+        console.error("Could not create unique index on users.email, remove the duplicate emails first:", error.message);
+    }
+
+    // recipes: candidates of the similar recipes, and the reviews of a user
+    await db.collection('recipes').createIndex({ "ingredients.name": 1 });
+    await db.collection('recipes').createIndex({ "tags._id": 1 });
+    await db.collection('recipes').createIndex({ "cuisine._id": 1 });
+    await db.collection('recipes').createIndex({ "reviews.user_id": 1 });
+
+    // recipes: weighted text index for ?q= text search, a name match counts most
+    try {
+        await db.collection('recipes').createIndex({
+            "name": "text",
+            "tags.name": "text",
+            "ingredients.name": "text",
+            "instructions": "text"
+        }, {
+            name: "recipe_text",
+            weights: { "name": 10, "tags.name": 5, "ingredients.name": 5, "instructions": 1 },
+            default_language: "english"
+        });
+    } catch (error) {
+        // a collection can only have one text index, drop the old one in Compass if this fails
+        console.error("Could not create the recipe text index:", error.message);
+    }
+
+    // recipes: the same rules as validateRecipe checked by MongoDB, so no write path can store a broken recipe
+    //   "moderate" leaves recipes that were already invalid updatable, fix them in Compass when they come up
+    const recipeValidator = {
+        validator: { $jsonSchema: toMongoJsonSchema(storedRecipeSchema) },
+        validationLevel: "moderate",
+        validationAction: "error"
+    }
+    try {
+        if (await db.listCollections({ name: 'recipes' }).hasNext()) {
+            await db.command({ collMod: 'recipes', ...recipeValidator });
+        } else {
+            await db.createCollection('recipes', recipeValidator);
+        }
+    } catch (error) {
+        // needs the dbAdmin role on the database
+        console.error("Could not install the recipe validator:", error.message);
+    }
+
+    // ingredient flags: one mapping per keyword, seeded with the defaults the first time
+    await db.collection('ingredient_flags').createIndex({ keyword: 1 }, { unique: true });
+    if (await db.collection('ingredient_flags').countDocuments() === 0) {
+        await db.collection('ingredient_flags').insertMany(DEFAULT_INGREDIENT_FLAGS.map(flags => ({ ...flags })));
+    }
+    // recipes from before the flags were derived get them now, so they show up in the allergenFree & diet searches
+    const unflagged = db.collection('recipes').find({ allergens: { $exists: false } }).project({ ingredients: 1 });
+    const flagMappings = await db.collection('ingredient_flags').find({}).toArray();
+    for await (const recipe of unflagged) {
+        await db.collection('recipes').updateOne({ _id: recipe._id }, { $set: computeDietaryFlags(recipe.ingredients, flagMappings) });
+    }
+
+    // nutrition facts: one per keyword, seeded with the defaults the first time
+    await db.collection('nutrition_facts').createIndex({ keyword: 1 }, { unique: true });
+    if (await db.collection('nutrition_facts').countDocuments() === 0) {
+        await db.collection('nutrition_facts').insertMany(DEFAULT_NUTRITION_FACTS.map(facts => ({ ...facts })));
+    }
+
+    // meal plans: one per user and week
+    await db.collection('meal_plans').createIndex({ user_id: 1, weekStart: 1 }, { unique: true });
+
+    // translations: one per recipe, language and version
+    await db.collection('recipe_translations').createIndex({ recipe_id: 1, lang: 1, version: 1 }, { unique: true });
+
+    // revisions: one per recipe version
+    await db.collection('recipe_revisions').createIndex({ recipe_id: 1, revision: 1 }, { unique: true });
+
+    // cookbooks: listed per user, opened by share link
+    await db.collection('cookbooks').createIndex({ user_id: 1 });
+    await db.collection('cookbooks').createIndex({ shareToken: 1 }, { unique: true, sparse: true });
+
+    // password resets: lookup by token, and let MongoDB remove them once expired
+    await db.collection('password_resets').createIndex({ tokenHash: 1 });
+    await db.collection('password_resets').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+    // images: GridFS files looked up by recipe when it is purged
+    await db.collection('recipe_images.files').createIndex({ "metadata.recipe_id": 1 });
+
+    // trash: purge expired recipes now and then every hour
+    //   not a TTL index, the favorites, cookbooks, meal plans ... that refer to a recipe are cleaned up too
+    await db.collection('recipes').createIndex({ deletedAt: 1 }, { sparse: true });
+    const purgeExpiredTrash = async function () {
+        try {
+            const purged = await purgeTrash(db);
+            if (purged > 0) {
+                console.log(`Purged ${purged} recipe(s) from the trash`);
+            }
+        } catch (error) {
+            console.error("Error purging trash:", error);
+        }
+    }
+    await purgeExpiredTrash();
+    setInterval(purgeExpiredTrash, 60 * 60 * 1000).unref();
+
+    // ROUTES - default
+    app.get('', function (req, res) {
+        res.json({
+            "message": "Hello world"
+        })
+    });
+
+    // READ: recipes Search using Query String parameter
+    // example: ?name=chicken&tags=popular,spicy&ingredients=chicken,yogurt&minRating=4&sort=rating&order=desc&page=2&limit=10
+    // exclusion & dietary example: ?excludeIngredients=peanut&excludeTags=spicy&allergenFree=dairy,gluten&diet=vegetarian
+    // nutrition example, per serving: ?maxCalories=500&minProtein=20&sort=calories
+    // text search example: ?q="green curry" chicken -peanut&tags=spicy, ranked by relevance unless sort is given
+    // the response also carries the total count and the cuisine/tag facet counts for the same criteria
+    app.get('/recipes/search', async function (req, res) {
+        //    console.log(req.query);
+        const criteria = buildSearchCriteria(req.query);
+        const { page, limit, skip } = parsePagination(req.query);
+        const isTextSearch = Boolean(req.query.q);
+
+        // sorting: only whitelisted fields, default order is ascending
+        //   relevance (text score, best first) is the default for text search
+        const sortName = req.query.sort || (isTextSearch ? "relevance" : undefined);
+        const sortField = SORT_FIELDS[sortName];
+        if (sortName === "relevance" && !isTextSearch) {
+            return res.status(400).json({ error: "Sorting by relevance needs a text search (q)" });
+        }
+        if (sortName && sortName !== "relevance" && !sortField) {
+            return res.status(400).json({
+                error: `Invalid sort field. Use one of: relevance, ${Object.keys(SORT_FIELDS).join(", ")}`
+            });
+        }
+        // sorting by nutrition leaves out the recipes with unknown or incomplete values, like the nutrition filters
+        if (sortField && sortField.startsWith("nutrition.")) {
+            criteria["nutrition.complete"] = true;
+        }
+        const order = req.query.order === "desc" ? -1 : 1;
+        let sort = sortField ? { [sortField]: order, _id: 1 } : { _id: 1 };
+        if (sortName === "relevance") {
+            sort = { score: -1, _id: 1 };
+        }
+
+        // debug search criteria in case of doubt
+        console.log(criteria);
+
+        // search recipes: only limited recipe info is present including _Id object
+        //   $facet runs the page of results, the total and the facet counts in one round trip
+        try {
+            const [result] = await db.collection('recipes').aggregate([
+                { $match: criteria },
+                ...(isTextSearch ? [{ $addFields: { score: { $meta: "textScore" } } }] : []),
+                {
+                    $facet: {
+                        "recipes": [
+                            { $sort: sort },
+                            { $skip: skip },
+                            { $limit: limit },
+                            { $project: { name: 1, cuisine: 1, tags: 1, prepTime: 1, cookTime: 1, averageRating: 1, reviewCount: 1, allergens: 1, diets: 1, nutrition: 1, score: 1 } }
+                        ],
+                        "total": [
+                            { $count: "count" }
+                        ],
+                        "cuisines": [
+                            { $group: { _id: "$cuisine.name", count: { $sum: 1 } } },
+                            { $sort: { count: -1, _id: 1 } },
+                            { $project: { _id: 0, name: "$_id", count: 1 } }
+                        ],
+                        "tags": [
+                            { $unwind: "$tags" },
+                            { $group: { _id: "$tags.name", count: { $sum: 1 } } },
+                            { $sort: { count: -1, _id: 1 } },
+                            { $project: { _id: 0, name: "$_id", count: 1 } }
+                        ]
+                    }
+                }
+            ]).toArray();
+
+            const total = result.total.length > 0 ? result.total[0].count : 0;
+            res.json({
+                "recipes": result.recipes,
+                "page": page,
+                "limit": limit,
+                "total": total,
+                "totalPages": Math.ceil(total / limit),
+                "facets": {
+                    "cuisines": result.cuisines,
+                    "tags": result.tags
+                }
+            })
+        } catch (error) {
+            console.error("Error fetching recipes:", error);
+            res.status(500).json({ error: "Internal server error" });
+        }
+    })
+
+    // WHAT CAN I COOK: rank recipes by how many of their ingredients are in the user's pantry
+    //   each recipe lists the ingredients still missing, recipes missing more than maxMissing are left out
+    //   staples (salt, water, oil ...) are not counted unless ignoreStaples is false, or staples gives your own list
+    // sample request body
+    // {   "pantry": ["chicken", "rice", "garlic", "tomatoes"], "maxMissing": 2, "ignoreStaples": true   }
+    //   paginated with ?page=1&limit=10
+    app.post('/recipes/what-can-i-cook', async function (req, res) {
+        try {
+            const { pantry, staples } = req.body;
+            const maxMissing = req.body.maxMissing === undefined ? 3 : Number(req.body.maxMissing);
+            const { page, limit, skip } = parsePagination(req.query);
+
+            if (!Array.isArray(pantry) || pantry.length === 0) {
+                return res.status(400).json({ error: "Provide the pantry items" });
+            }
+            if (!Number.isInteger(maxMissing) || maxMissing < 0) {
+                return res.status(400).json({ error: "maxMissing must be a whole number from 0" });
+            }
+
+            // a pantry item covers an ingredient when it is a whole word of the name, plural or not,
+            // e.g. "rice" covers "jasmine rice" but not "licorice", "tomato" covers "tomatoes", "egg" not "eggplant"
+            const toPattern = item => `\\b${escapeRegExp(normalizeIngredientName(item))}(?:e?s)?\\b`;
+            const pantryPatterns = pantry.filter(item => typeof item === "string" && item.trim()).map(toPattern);
+            const ignored = req.body.ignoreStaples === false ? [] : (Array.isArray(staples) ? staples : PANTRY_STAPLES);
+            const staplePatterns = ignored.map(item => `^${escapeRegExp(normalizeIngredientName(item))}(?:e?s)?$`);
+
+            // true when the ingredient name ($$name) matches any of the patterns
+            const matchesAny = patterns => ({
+                $anyElementTrue: [{
+                    $map: { input: patterns, as: "pattern", in: { $regexMatch: { input: "$$name", regex: "$$pattern" } } }
+                }]
+            });
+
+            const [result] = await db.collection('recipes').aggregate([
+                { $match: { "ingredients.0": { $exists: true }, ...NOT_TRASHED } },
+                {
+                    $project: {
+                        name: 1, cuisine: 1, tags: 1, prepTime: 1, cookTime: 1, averageRating: 1,
+                        ingredientNames: {
+                            $map: { input: "$ingredients", as: "ingredient", in: { $toLower: { $trim: { input: { $ifNull: ["$$ingredient.name", ""] } } } } }
+                        }
+                    }
+                },
+                // ingredients that count: everything except the staples
+                { $addFields: { needed: { $filter: { input: "$ingredientNames", as: "name", cond: { $not: [matchesAny(staplePatterns)] } } } } },
+                { $addFields: { missing: { $filter: { input: "$needed", as: "name", cond: { $not: [matchesAny(pantryPatterns)] } } } } },
+                {
+                    $addFields: {
+                        missingCount: { $size: "$missing" },
+                        matchedCount: { $subtract: [{ $size: "$needed" }, { $size: "$missing" }] }
+                    }
+                },
+                {
+                    $addFields: {
+                        coverage: {
+                            $cond: [{ $gt: [{ $size: "$needed" }, 0] }, { $round: [{ $divide: ["$matchedCount", { $size: "$needed" }] }, 2] }, 1]
+                        }
+                    }
+                },
+                { $match: { missingCount: { $lte: maxMissing }, matchedCount: { $gt: 0 } } },
+                {
+                    $facet: {
+                        "recipes": [
+                            { $sort: { coverage: -1, missingCount: 1, averageRating: -1, _id: 1 } },
+                            { $skip: skip },
+                            { $limit: limit },
+                            { $project: { ingredientNames: 0, needed: 0 } }
+                        ],
+                        "total": [
+                            { $count: "count" }
+                        ]
+                    }
+                }
+            ]).toArray();
+
+            const total = result.total.length > 0 ? result.total[0].count : 0;
+            res.json({
+                recipes: result.recipes,
+                ignoredStaples: ignored,
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            });
+        } catch (error) {
+            console.error('Error matching pantry:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // SIMILAR recipes, "you may also like", example /recipes/695f64e320c0ab9c7a35125d/similar?limit=5
+    //   ranked by shared ingredients, tags and cuisine, boosted by rating and, when logged in,
+    //   by the cuisines & tags of the recipes the user rated well; ?boost=rating or an empty boost= to change that
+    app.get('/recipes/:id/similar', optionalToken, async function (req, res) {
+        try {
+            const options = parseSimilarOptions(req.query, req.query.limit);
+            if (options.error) {
+                return res.status(400).json({ error: options.error });
+            }
+
+            const recipe = await db.collection('recipes').findOne(
+                { _id: new ObjectId(req.params.id), ...NOT_TRASHED },
+                { projection: { ingredients: 1, tags: 1, cuisine: 1 } });
+            if (!recipe) {
+                return res.status(404).json({ error: "recipe not found." });
+            }
+
+            const recipes = await findSimilarRecipes(db, recipe, {
+                ...options,
+                userId: req.tokenData ? new ObjectId(req.tokenData.user_id) : null
+            });
+            res.json({ recipes });
+        } catch (error) {
+            if (error instanceof BSONError) {
+                return res.status(400).json({ error: "Invalid recipe ID format." });
+            }
+            console.error("Error finding similar recipes:", error);
+            res.status(500).json({ error: "Internal server error" });
+        }
+    })
+
+    // EXPORT a recipe as schema.org Recipe JSON-LD, example /recipes/695f64e320c0ab9c7a35125d/jsonld
+    app.get('/recipes/:id/jsonld', async function (req, res) {
+        try {
+            const recipe = await db.collection('recipes').findOne({ _id: new ObjectId(req.params.id), ...NOT_TRASHED });
+            if (!recipe) {
+                return res.status(404).json({ error: "recipe not found." });
+            }
+            res.type('application/ld+json').send(JSON.stringify(toJsonLd(recipe)));
+        } catch (error) {
+            if (error instanceof BSONError) {
+                return res.status(400).json({ error: "Invalid recipe ID format." });
+            }
+            console.error("Error exporting recipe:", error);
+            res.status(500).json({ error: "Internal server error" });
+        }
+    })
+
+    // EXPORT every recipe as NDJSON, one JSON-LD Recipe per line, streamed as it is read
+    //   the file can be imported again with /recipes/import
+    app.get('/recipes/export', verifyToken, requireRole("editor", "admin"), async function (req, res) {
+        try {
+            const cursor = db.collection('recipes').find(NOT_TRASHED).sort({ _id: 1 });
+
+            res.type('application/x-ndjson');
+            res.setHeader('Content-Disposition', 'attachment; filename="recipes.ndjson"');
+            for await (const recipe of cursor) {
+                res.write(JSON.stringify(toJsonLd(recipe)) + "\n");
+            }
+            res.end();
+        } catch (error) {
+            console.error("Error exporting recipes:", error);
+            // once streaming has started the status cannot change anymore
+            if (res.headersSent) {
+                return res.end();
+            }
+            res.status(500).json({ error: "Internal server error" });
+        }
+    })
+
+    // IMPORT recipes in bulk from JSON-LD (application/json or application/ld+json) or NDJSON (application/x-ndjson)
+    //   every record goes through validateRecipe (cuisine & tags must exist), a recipe with the same name and
+    //   cuisine as an existing one is skipped, and the response reports each record: inserted, skipped or rejected
+    //   ?dropUnknownTags=true leaves out tags that do not exist instead of rejecting the record
+    //   ?dryRun=true only reports what would happen
+    app.post('/recipes/import', verifyToken, requireRole("editor", "admin"),
+        express.json({ limit: IMPORT_LIMIT }),
+        express.text({ type: ["application/x-ndjson", "application/ld+json"], limit: IMPORT_LIMIT }),
+        async function (req, res) {
+            try {
+                const records = parseImportBody(req);
+                if (records.length === 0) {
+                    return res.status(400).json({ error: "No schema.org Recipe found in the request" });
+                }
+
+                const dryRun = req.query.dryRun === "true";
+                // pages spell tags & cuisines their own way, e.g. "Italian" or "italian", they take the catalog spelling
+                const allTags = await db.collection('tags').distinct('name');
+                const allCuisines = await db.collection('cuisines').distinct('name');
+                const catalogName = (names, name) => names.find(known => known.toLowerCase() === String(name).toLowerCase()) || name;
+                const results = [];
+
+                for (const [index, { record, error }] of records.entries()) {
+                    if (error) {
+                        results.push({ index, status: "rejected", reason: error });
+                        continue;
+                    }
+
+                    // a record that cannot be read or saved is reported, the others are still imported
+                    try {
+                        const request = fromJsonLd(record);
+                        request.tags = [...new Set(request.tags.map(tag => catalogName(allTags, tag)))];
+                        if (request.cuisine) {
+                            request.cuisine = catalogName(allCuisines, request.cuisine);
+                        }
+                        const result = { index, name: request.name };
+                        if (req.query.dropUnknownTags === "true") {
+                            const droppedTags = request.tags.filter(tag => !allTags.includes(tag));
+                            request.tags = request.tags.filter(tag => allTags.includes(tag));
+                            if (droppedTags.length > 0) {
+                                result.droppedTags = droppedTags;
+                            }
+                        }
+
+                        const status = await validateRecipe(db, request);
+                        if (!status.success) {
+                            results.push({ ...result, status: "rejected", reason: status.errors.map(error => error.message).join("; "), errors: status.errors });
+                            continue;
+                        }
+
+                        const duplicate = await db.collection('recipes').findOne({
+                            name: { $regex: `^${escapeRegExp(status.newRecipe.name)}$`, $options: "i" },
+                            "cuisine._id": status.newRecipe.cuisine._id,
+                            ...NOT_TRASHED
+                        }, { projection: { _id: 1 } });
+                        if (duplicate) {
+                            results.push({ ...result, status: "skipped", reason: "A recipe with the same name and cuisine exists", recipeId: duplicate._id });
+                            continue;
+                        }
+
+                        if (!dryRun) {
+                            status.newRecipe.user_id = new ObjectId(req.tokenData.user_id);
+                            const inserted = await db.collection('recipes').insertOne(status.newRecipe);
+                            result.recipeId = inserted.insertedId;
+                        }
+                        results.push({ ...result, status: "inserted" });
+                    } catch (recordError) {
+                        console.error(`Error importing record ${index}:`, recordError);
+                        results.push({ index, status: "rejected", reason: `Could not import this record: ${recordError.message}` });
+                    }
+                }
+
+                const count = status => results.filter(result => result.status === status).length;
+                res.status(dryRun ? 200 : 201).json({
+                    dryRun,
+                    summary: { inserted: count("inserted"), skipped: count("skipped"), rejected: count("rejected") },
+                    results
+                });
+            } catch (error) {
+                console.error("Error importing recipes:", error);
+                res.status(500).json({ error: "Internal server error" });
+            }
+        })
+
+    // READ a recipe detail by ID via query string, example ?id=695f64e320c0ab9c7a35125d 
+    //   optional lang to read it translated, example ?id=695f64e320c0ab9c7a35125d&lang=zh
+    //   optional servings & units to scale and convert the ingredients, example ?id=...&servings=6&units=metric
+    //   optional similar to add a "you may also like" list, same as /recipes/:id/similar, example ?id=...&similar=5
+    app.get('/recipes/detail', optionalToken, async function (req, res) {
+        try {
+            const recipeId = req.query.id;
+
+            const similarOptions = req.query.similar ? parseSimilarOptions(req.query, req.query.similar) : null;
+            if (similarOptions && similarOptions.error) {
+                return res.status(400).json({ error: similarOptions.error });
+            }
+
+            const servings = req.query.servings ? Number(req.query.servings) : undefined;
+            if (servings !== undefined && !(servings > 0)) {
+                return res.status(400).json({ error: "servings must be a positive number" });
+            }
+            const units = req.query.units;
+            if (units && units !== "metric" && units !== "imperial") {
+                return res.status(400).json({ error: "units must be metric or imperial" });
+            }
+
+            let recipe = await db.collection('recipes').findOne(
+                { _id: new ObjectId(recipeId), ...NOT_TRASHED },
+                { projection: { _Id: 0, "reviews.user": 0 } });
+
+            if (!recipe) {
+                return res.status(404).json({ error: "recipe not found." });
+            }
+
+            // similar recipes by the original ingredient names, before translation & scaling
+            const similar = similarOptions && await findSimilarRecipes(db, recipe, {
+                ...similarOptions,
+                userId: req.tokenData ? new ObjectId(req.tokenData.user_id) : null
+            });
+
+            // translation is served from the cache, or generated and cached on a miss
+            const lang = req.query.lang;
+            if (lang && !isEnglish(lang)) {
+                try {
+                    [recipe] = applyTranslations([recipe], await getTranslations(db, [recipe], lang));
+                } catch (error) {
+                    console.error("Error translating recipe:", error);
+                    recipe = { ...recipe, translated: false };
+                }
+            }
+
+            if (servings || units) {
+                recipe = adjustRecipe(recipe, { servings, units });
+            }
+
+            if (similar) {
+                return res.json({ recipe, similar });
+            }
+            res.json({ recipe });
+        } catch (error) {
+
+            // Handles cases where the provided recipeId is not a valid ObjectId format
+            if (error instanceof BSONError) {
+                return res.status(400).json({ error: "Invalid recipe ID format." });
+            }
+            console.error("Error fetching recipe:", error);
+            res.status(500).json({ error: "Internal server error" });
+
+        }
+    })
+
+    // CREATE (post) recipe, the logged in user becomes the owner of the recipe
+    app.post('/recipes/create', verifyToken, async function (req, res) {
+        // same validation as the update: field types & ranges, cuisine and tags from the catalog
+        const status = await validateRecipe(db, req.body);
+        if (!status.success) {
+            // HTTP 400 error code = Bad request
+            return res.status(400).json({
+                error: status.error,
+                errors: status.errors
+            })
+        }
+
+        // prepare the recipe object
+        const newRecipe = {
+            _id: new ObjectId(),  // optional, 'cos when Mongo inserts a new document, it will ensure that an _id
+            ...status.newRecipe,
+            user_id: new ObjectId(req.tokenData.user_id)
+        }
+
+        // create the recipe in database 
+        try {
+            const result = await db.collection('recipes').insertOne(newRecipe);
+            res.status(201).json({
+                message: "Recipe created",
+                recipeId: result.insertedId
+            })
+        } catch (error) {
+            console.error("Error fetching recipe:", error);
+            res.status(500).json({ error: "Internal server error" });
+        }
+    })
+
+    // UPDATE(put) a recipe via id parameter, example: /recipes/695f64e320c0ab9c7a35125d
+    //.  new recipe is provide as an object in the PUT request body
+    //.  only the owner, an editor or an admin can update
+    app.put('/recipes/update/:id', verifyToken, async function (req, res) {
+        try {
+            const recipeId = req.params.id;
+            console.log(recipeId);
+            const access = await authorizeRecipeChange(db, recipeId, req.tokenData, "update");
+            if (access.error) {
+                return res.status(access.status).json({ error: access.error });
+            }
+
+            const status = await validateRecipe(db, req.body);
+            if (status.success) {
+                // update the recipe and keep the new content as a revision
+                const updated = await updateRecipeWithRevision(db, new ObjectId(recipeId), status.newRecipe, req.tokenData, "update");
+
+                if (!updated) {
+                    return res.status(404).json({ error: 'Recipe not found' });
+                }
+
+                res.json({
+                    'message': "Recipe has been updated successful",
+                    'revision': updated.version
+                })
+            } else {
+                res.status(400).json({
+                    error: status.error,
+                    errors: status.errors
+                })
+            }
+        } catch (error) {
+            if (error instanceof BSONError) {
+                return res.status(400).json({ error: "Invalid recipe ID format." });
+            }
+            console.error('Error updating recipe:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+
+    })
+    // DELETE recipe via id parameter, exmple: /recipes/<ID from database or search result>
+    //.  only the owner or an admin can delete
+    //.  the recipe goes to the trash, it can be restored until it is purged after TRASH_RETENTION_DAYS
+    app.delete('/recipes/delete/:id', verifyToken, async function (req, res) {
+        try {
+            const recipeId = req.params.id;
+            const access = await authorizeRecipeChange(db, recipeId, req.tokenData, "delete");
+            if (access.error) {
+                return res.status(access.status).json({ error: access.error });
+            }
+
+            const results = await db.collection('recipes').updateOne(
+                { _id: new ObjectId(recipeId), ...NOT_TRASHED },
+                { $set: { deletedAt: new Date(), deletedBy: new ObjectId(req.tokenData.user_id) } });
+
+            if (results.matchedCount === 0) {
+                return res.status(404).json({
+                    "error": "Not found"
+                })
+            }
+
+            res.json({
+                'message': 'Moved to trash',
+                'purgeAfterDays': TRASH_RETENTION_DAYS
+            })
+        } catch (e) {
+            if (e instanceof BSONError) {
+                return res.status(400).json({ error: "Invalid recipe ID format." });
+            }
+            res.status(500).json({
+                'error': 'Internal Server Error'
+            })
+        }
+
+    })
+
+    // UPLOAD the recipe image, multipart/form-data with the file in the "image" field, example POST /recipes/695f64e320c0ab9c7a35125d/image
+    //   JPEG, PNG or WebP up to MAX_IMAGE_MB (default 5), replaces the current image, same permissions as an update
+    //   returns the ids of the image and its thumbnail, both served by GET /images/<id>
+    app.post('/recipes/:id/image', verifyToken, imageUpload, async function (req, res) {
+        try {
+            const result = await storeRecipeImage(db, req.params.id, null, req);
+            if (result.error) {
+                return res.status(result.status).json({ error: result.error });
+            }
+            res.status(201).json({ message: "Image uploaded", image: result.image });
+        } catch (error) {
+            if (error instanceof BSONError) {
+                return res.status(400).json({ error: "Invalid recipe ID format." });
+            }
+            console.error("Error uploading image:", error);
+            res.status(500).json({ error: "Internal server error" });
+        }
+    });
+
+    // UPLOAD the image of an instruction step, steps are numbered from 1, example POST /recipes/695f64e320c0ab9c7a35125d/steps/2/image
+    app.post('/recipes/:id/steps/:step/image', verifyToken, imageUpload, async function (req, res) {
+        try {
+            const result = await storeRecipeImage(db, req.params.id, Number(req.params.step), req);
+            if (result.error) {
+                return res.status(result.status).json({ error: result.error });
+            }
+            res.status(201).json({ message: "Image uploaded", image: result.image });
+        } catch (error) {
+            if (error instanceof BSONError) {
+                return res.status(400).json({ error: "Invalid recipe ID format." });
+            }
+            console.error("Error uploading step image:", error);
+            res.status(500).json({ error: "Internal server error" });
+        }
+    });
+
+    // DELETE the recipe image, example DELETE /recipes/695f64e320c0ab9c7a35125d/image
+    app.delete('/recipes/:id/image', verifyToken, async function (req, res) {
+        try {
+            const result = await removeRecipeImage(db, req.params.id, null, req.tokenData);
+            if (result.error) {
+                return res.status(result.status).json({ error: result.error });
+            }
+            res.json({ message: "Image deleted" });
+        } catch (error) {
+            if (error instanceof BSONError) {
+                return res.status(400).json({ error: "Invalid recipe ID format." });
+            }
+            console.error("Error deleting image:", error);
+            res.status(500).json({ error: "Internal server error" });
+        }
+    });
+
+    // DELETE the image of an instruction step, example DELETE /recipes/695f64e320c0ab9c7a35125d/steps/2/image
+    app.delete('/recipes/:id/steps/:step/image', verifyToken, async function (req, res) {
+        try {
+            const result = await removeRecipeImage(db, req.params.id, Number(req.params.step), req.tokenData);
+            if (result.error) {
+                return res.status(result.status).json({ error: result.error });
+            }
+            res.json({ message: "Image deleted" });
+        } catch (error) {
+            if (error instanceof BSONError) {
+                return res.status(400).json({ error: "Invalid recipe ID format." });
+            }
+            console.error("Error deleting step image:", error);
+            res.status(500).json({ error: "Internal server error" });
+        }
+    });
+
+    // READ an image or thumbnail, streamed from GridFS, example /images/6960b1f2c3a4d5e6f7a8b9c0
+    //   a stored image never changes (a new upload gets a new id), but it is gone once its recipe is trashed,
+    //   so caches check back with the ETag before they use their copy
+    app.get('/images/:id', async function (req, res) {
+        try {
+            const bucket = imageBucket(db);
+            const [file] = await bucket.find({ _id: new ObjectId(req.params.id) }).toArray();
+            if (!file) {
+                return res.status(404).json({ error: "Image not found" });
+            }
+
+            // the images of a recipe in the trash are gone with it
+            const recipe = await db.collection('recipes').findOne({ _id: file.metadata.recipe_id, ...NOT_TRASHED }, { projection: { _id: 1 } });
+            if (!recipe) {
+                return res.status(404).json({ error: "Image not found" });
+            }
+
+            res.set({
+                "Content-Type": file.metadata.contentType,
+                "Cache-Control": "private, no-cache",
+                "ETag": `"${file._id}"`,
+                "Last-Modified": file.uploadDate.toUTCString()
+            });
+            if (req.fresh) {
+                return res.status(304).end();
+            }
+            res.set("Content-Length", String(file.length));
+
+            bucket.openDownloadStream(file._id)
+                .on("error", function (error) {
+                    console.error("Error streaming image:", error);
+                    res.destroy(error);
+                })
+                .pipe(res);
+        } catch (error) {
+            if (error instanceof BSONError) {
+                return res.status(400).json({ error: "Invalid image ID format." });
+            }
+            console.error("Error fetching image:", error);
+            res.status(500).json({ error: "Internal server error" });
+        }
+    });
+
+    // TRASH: recipes of the logged in user that were deleted, newest first, example /recipes/trash?page=1&limit=10
+    //   admins see the whole trash, purgeAt is when a recipe will be gone for good
+    app.get('/recipes/trash', verifyToken, async function (req, res) {
+        try {
+            const { page, limit, skip } = parsePagination(req.query);
+            const criteria = { deletedAt: { $ne: null } };
+            if (req.tokenData.role !== "admin") {
+                criteria.user_id = new ObjectId(req.tokenData.user_id);
+            }
+
+            const total = await db.collection('recipes').countDocuments(criteria);
+            const recipes = await db.collection('recipes').find(criteria)
+                .project({ name: 1, cuisine: 1, tags: 1, user_id: 1, deletedAt: 1, deletedBy: 1 })
+                .sort({ deletedAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .toArray();
+
+            res.json({
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit),
+                recipes: recipes.map(recipe => ({
+                    ...recipe,
+                    purgeAt: new Date(recipe.deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+                }))
+            });
+        } catch (error) {
+            console.error("Error fetching trash:", error);
+            res.status(500).json({ error: "Internal server error" });
+        }
+    });
+
+    // RESTORE a recipe from the trash, example POST /recipes/trash/695f64e320c0ab9c7a35125d/restore
+    //   the same users that may delete a recipe may restore it: the owner or an admin
+    app.post('/recipes/trash/:id/restore', verifyToken, async function (req, res) {
+        try {
+            const recipeId = new ObjectId(req.params.id);
+            const recipe = await db.collection('recipes').findOne(
+                { _id: recipeId, deletedAt: { $ne: null } },
+                { projection: { user_id: 1 } });
+
+            if (!recipe) {
+                return res.status(404).json({ error: "Recipe not found in trash" });
+            }
+            if (!canModifyRecipe(recipe, req.tokenData, "delete")) {
+                return res.status(403).json({ error: "You are not allowed to change this recipe" });
+            }
+
+            await db.collection('recipes').updateOne(
+                { _id: recipeId },
+                { $unset: { deletedAt: "", deletedBy: "" } });
+
+            res.json({ message: "Recipe restored" });
+        } catch (error) {
+            if (error instanceof BSONError) {
+                return res.status(400).json({ error: "Invalid recipe ID format." });
+            }
+            console.error("Error restoring recipe:", error);
+            res.status(500).json({ error: "Internal server error" });
+        }
+    });
+
+    // REVISIONS of a recipe, newest first, example /recipes/695f64e320c0ab9c7a35125d/revisions
+    //   the snapshots are left out, see /recipes/:id/revisions/:revision for the content
+    app.get('/recipes/:id/revisions', async function (req, res) {
+        try {
+            const recipeId = new ObjectId(req.params.id);
+            const recipe = await db.collection('recipes').findOne({ _id: recipeId, ...NOT_TRASHED }, { projection: { version: 1 } });
+            if (!recipe) {
+                return res.status(404).json({ error: "Recipe not found" });
+            }
+
+            const revisions = await db.collection('recipe_revisions')
+                .find({ recipe_id: recipeId })
+                .project({ snapshot: 0, email: 0 })
+                .sort({ revision: -1 })
+                .toArray();
+
+            res.json({ currentRevision: recipe.version || 0, revisions });
+        } catch (error) {
+            if (error instanceof BSONError) {
+                return res.status(400).json({ error: "Invalid recipe ID format." });
+            }
+            console.error("Error fetching revisions:", error);
+            res.status(500).json({ error: "Internal server error" });
+        }
+    });
+
+    // DIFF between two revisions, field by field, example /recipes/695f64e320c0ab9c7a35125d/revisions/diff?from=1&to=3
+    //   "to" defaults to the newest revision
+    app.get('/recipes/:id/revisions/diff', async function (req, res) {
+        try {
+            const recipeId = new ObjectId(req.params.id);
+            if (!(await db.collection('recipes').findOne({ _id: recipeId, ...NOT_TRASHED }, { projection: { _id: 1 } }))) {
+                return res.status(404).json({ error: "Recipe not found" });
+            }
+
+            const from = Number(req.query.from);
+            const to = req.query.to === undefined ? undefined : Number(req.query.to);
+            if (!Number.isInteger(from) || (to !== undefined && !Number.isInteger(to))) {
+                return res.status(400).json({ error: "from and to must be revision numbers" });
+            }
+
+            const fromRevision = await db.collection('recipe_revisions').findOne({ recipe_id: recipeId, revision: from });
+            const toRevision = to === undefined
+                ? await db.collection('recipe_revisions').findOne({ recipe_id: recipeId }, { sort: { revision: -1 } })
+                : await db.collection('recipe_revisions').findOne({ recipe_id: recipeId, revision: to });
+            if (!fromRevision || !toRevision) {
+                return res.status(404).json({ error: "Revision not found" });
+            }
+
+            res.json({
+                from: fromRevision.revision,
+                to: toRevision.revision,
+                changes: diffDocuments(fromRevision.snapshot, toRevision.snapshot)
+            });
+        } catch (error) {
+            if (error instanceof BSONError) {
+                return res.status(400).json({ error: "Invalid recipe ID format." });
+            }
+            console.error("Error comparing revisions:", error);
+            res.status(500).json({ error: "Internal server error" });
+        }
+    });
+
+    // READ one revision with its content, example /recipes/695f64e320c0ab9c7a35125d/revisions/2
+    app.get('/recipes/:id/revisions/:revision', async function (req, res) {
+        try {
+            const recipeId = new ObjectId(req.params.id);
+            if (!(await db.collection('recipes').findOne({ _id: recipeId, ...NOT_TRASHED }, { projection: { _id: 1 } }))) {
+                return res.status(404).json({ error: "Recipe not found" });
+            }
+
+            const revision = await db.collection('recipe_revisions').findOne(
+                { recipe_id: recipeId, revision: Number(req.params.revision) },
+                { projection: { email: 0 } });
+            if (!revision) {
+                return res.status(404).json({ error: "Revision not found" });
+            }
+            res.json(revision);
+        } catch (error) {
+            if (error instanceof BSONError) {
+                return res.status(400).json({ error: "Invalid recipe ID format." });
+            }
+            console.error("Error fetching revision:", error);
+            res.status(500).json({ error: "Internal server error" });
+        }
+    });
+
+    // REVERT a recipe to an older revision, example POST /recipes/695f64e320c0ab9c7a35125d/revisions/2/revert
+    //   recorded as a new revision, same permissions as an update
+    //   cuisine & tags are taken from the current catalog, so renames since then are kept
+    app.post('/recipes/:id/revisions/:revision/revert', verifyToken, async function (req, res) {
+        try {
+            const recipeId = req.params.id;
+            const access = await authorizeRecipeChange(db, recipeId, req.tokenData, "update");
+            if (access.error) {
+                return res.status(access.status).json({ error: access.error });
+            }
+
+            const revision = await db.collection('recipe_revisions').findOne({
+                recipe_id: new ObjectId(recipeId),
+                revision: Number(req.params.revision)
+            });
+            if (!revision) {
+                return res.status(404).json({ error: "Revision not found" });
+            }
+
+            const snapshot = { ...revision.snapshot };
+            if (snapshot.cuisine) {
+                const cuisineDoc = await db.collection('cuisines').findOne({ _id: snapshot.cuisine._id });
+                if (!cuisineDoc) {
+                    return res.status(409).json({ error: `The cuisine of this revision no longer exists: ${snapshot.cuisine.name}` });
+                }
+                snapshot.cuisine = { _id: cuisineDoc._id, name: cuisineDoc.name };
+            }
+            if (snapshot.tags) {
+                snapshot.tags = await db.collection('tags')
+                    .find({ _id: { $in: snapshot.tags.map(tag => tag._id) } })
+                    .toArray();
+            }
+            // the flags & nutrition follow the current ingredient mapping and nutrition facts
+            Object.assign(snapshot, await getDietaryFlags(db, snapshot.ingredients));
+            snapshot.nutrition = await getNutrition(db, snapshot.ingredients, snapshot.servings);
+
+            // revisions from before validation was added may not pass it any more
+            const errors = validate(storedRecipeSchema, snapshot);
+            if (errors.length > 0) {
+                return res.status(409).json({ error: "This revision does not pass the current validation", errors });
+            }
+
+            const updated = await updateRecipeWithRevision(db, new ObjectId(recipeId), snapshot, req.tokenData, "revert",
+                { revertedFrom: revision.revision });
+            if (!updated) {
+                return res.status(404).json({ error: "Recipe not found" });
+            }
+
+            res.json({
+                message: `Recipe reverted to revision ${revision.revision}`,
+                revision: updated.version
+            });
+        } catch (error) {
+            if (error instanceof BSONError) {
+                return res.status(400).json({ error: "Invalid recipe ID format." });
+            }
+            console.error("Error reverting recipe:", error);
+            res.status(500).json({ error: "Internal server error" });
+        }
+    });
+
+    // REVIEW (post) recipe, example /recipes/695f64e320c0ab9c7a35125d/reviews
+    //   the reviewer is the logged in user, one review per user per recipe
+    //   sample request body { "rating": 4, "comment": "Great with rice" }
+    //   rating is a whole number from 1 to 5 and comment is required, checked by validateBody
+    app.post('/recipes/:id/reviews', verifyToken, validateBody(reviewSchema), async (req, res) => {
+        try {
+            const recipeId = new ObjectId(req.params.id);
+            const userId = new ObjectId(req.tokenData.user_id);
+            const { rating, comment } = req.body;
+
+            // Create the new review object
+            const newReview = {
+                review_id: new ObjectId(),
+                user_id: userId,
+                rating: Number(rating),
+                comment,
+                date: new Date()
+            };
+
+            // Add the review to the recipe, unless the user has already reviewed it
+            const result = await db.collection('recipes').updateOne(
+                { _id: recipeId, ...NOT_TRASHED, "reviews.user_id": { $ne: userId } },
+                { $push: { reviews: newReview } }
+            );
+
+            if (result.matchedCount === 0) {
+                const recipe = await db.collection('recipes').findOne({ _id: recipeId, ...NOT_TRASHED }, { projection: { _id: 1 } });
+                if (!recipe) {
+                    return res.status(404).json({ error: 'Recipe not found' });
+                }
+                return res.status(409).json({ error: 'You have already reviewed this recipe' });
+            }
+
+            await updateRatingStats(db, recipeId);
+
+            res.status(201).json({
+                message: 'Review added successfully',
+                reviewId: newReview.review_id
+            });
+        } catch (error) {
+            if (error instanceof BSONError) {
+                return res.status(400).json({ error: "Invalid recipe ID format." });
+            }
+            console.error('Error adding review:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+
+    // READ reviews of a recipe, newest first, example /recipes/695f64e320c0ab9c7a35125d/reviews?page=1&limit=10
+    app.get('/recipes/:id/reviews', async (req, res) => {
+        try {
+            const recipeId = new ObjectId(req.params.id);
+            const { page, limit, skip } = parsePagination(req.query);
+
+            // sort and slice the embedded reviews on the server, so only one page is sent back
+            const [recipe] = await db.collection('recipes').aggregate([
+                { $match: { _id: recipeId, ...NOT_TRASHED } },
+                {
+                    $project: {
+                        averageRating: 1,
+                        reviewCount: 1,
+                        total: { $size: { $ifNull: ["$reviews", []] } },
+                        reviews: {
+                            $slice: [
+                                { $sortArray: { input: { $ifNull: ["$reviews", []] }, sortBy: { date: -1 } } },
+                                skip,
+                                limit
+                            ]
+                        }
+                    }
+                },
+                // older reviews carry the reviewer's email, which is not for the public
+                { $project: { "reviews.user": 0 } }
+            ]).toArray();
+
+            if (!recipe) {
+                return res.status(404).json({ error: 'Recipe not found' });
+            }
+
+            res.json({
+                reviews: recipe.reviews,
+                averageRating: recipe.averageRating ?? null,
+                reviewCount: recipe.reviewCount ?? recipe.total,
+                page,
+                limit,
+                total: recipe.total,
+                totalPages: Math.ceil(recipe.total / limit)
+            });
+        } catch (error) {
+            if (error instanceof BSONError) {
+                return res.status(400).json({ error: "Invalid recipe ID format." });
+            }
+            console.error('Error fetching reviews:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+
+    // UPDATE(put) a review, only by the reviewer, example /recipes/695f64e320c0ab9c7a35125d/reviews/<review_id>
+    //   sample request body { "rating": 5, "comment": "Even better the second time" }
+    app.put('/recipes/:id/reviews/:review_id', verifyToken, validateBody(reviewSchema), async (req, res) => {
+        try {
+            const recipeId = new ObjectId(req.params.id);
+            const reviewId = new ObjectId(req.params.review_id);
+            const { rating, comment } = req.body;
+
+            const access = await authorizeReviewChange(db, recipeId, reviewId, req.tokenData, "update");
+            if (access.error) {
+                return res.status(access.status).json({ error: access.error });
+            }
+
+            // the positional $ operator updates the review matched by $elemMatch
+            await db.collection('recipes').updateOne(
+                { _id: recipeId, reviews: { $elemMatch: { review_id: reviewId } } },
+                {
+                    $set: {
+                        "reviews.$.rating": Number(rating),
+                        "reviews.$.comment": comment,
+                        "reviews.$.updatedAt": new Date()
+                    }
+                }
+            );
+            await updateRatingStats(db, recipeId);
+
+            res.json({ message: 'Review updated successfully' });
+        } catch (error) {
+            if (error instanceof BSONError) {
+                return res.status(400).json({ error: "Invalid recipe or review ID format." });
+            }
+            console.error('Error updating review:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+
+    // DELETE a review, by the reviewer or an admin moderating, example /recipes/695f64e320c0ab9c7a35125d/reviews/<review_id>
+    app.delete('/recipes/:id/reviews/:review_id', verifyToken, async (req, res) => {
+        try {
+            const recipeId = new ObjectId(req.params.id);
+            const reviewId = new ObjectId(req.params.review_id);
+
+            const access = await authorizeReviewChange(db, recipeId, reviewId, req.tokenData, "delete");
+            if (access.error) {
+                return res.status(access.status).json({ error: access.error });
+            }
+
+            await db.collection('recipes').updateOne(
+                { _id: recipeId },
+                { $pull: { reviews: { review_id: reviewId } } }
+            );
+            await updateRatingStats(db, recipeId);
+
+            res.json({ message: 'Review deleted successfully' });
+        } catch (error) {
+            if (error instanceof BSONError) {
+                return res.status(400).json({ error: "Invalid recipe or review ID format." });
+            }
+            console.error('Error deleting review:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+
+
+    // SHOPPING LIST: combine the ingredients of several recipes, without saving it
+    //   units: "metric" (default) or "imperial" for the summed amounts
+    // sample request body
+    // {   "recipes": [ { "id": "695f64e320c0ab9c7a35125d", "servings": 6 }, { "id": "695f64e320c0ab9c7a35125e" } ],
+    //     "units": "metric"   }
+    app.post('/shopping-lists/preview', async function (req, res) {
+        try {
+            const units = req.body.units || "metric";
+            if (units !== "metric" && units !== "imperial") {
+                return res.status(400).json({ error: "units must be metric or imperial" });
+            }
+
+            const loaded = await loadShoppingListRecipes(db, req.body.recipes);
+            if (loaded.error) {
+                return res.status(loaded.status).json({ error: loaded.error });
+            }
+
+            res.json({ categories: buildShoppingList(loaded.entries, units) });
+        } catch (error) {
+            console.error('Error building shopping list:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // SHOPPING LIST: build and save it to the account of the logged in user
+    //   same request body as /shopping-lists/preview, plus an optional name
+    app.post('/shopping-lists', verifyToken, async function (req, res) {
+        try {
+            const units = req.body.units || "metric";
+            if (units !== "metric" && units !== "imperial") {
+                return res.status(400).json({ error: "units must be metric or imperial" });
+            }
+
+            const loaded = await loadShoppingListRecipes(db, req.body.recipes);
+            if (loaded.error) {
+                return res.status(loaded.status).json({ error: loaded.error });
+            }
+
+            // every item gets an id so it can be ticked off
+            const categories = buildShoppingList(loaded.entries, units).map(category => ({
+                ...category,
+                items: category.items.map(item => ({ item_id: new ObjectId(), ...item }))
+            }));
+
+            const shoppingList = {
+                user_id: new ObjectId(req.tokenData.user_id),
+                name: req.body.name || `Shopping list ${new Date().toISOString().slice(0, 10)}`,
+                recipes: loaded.entries.map(entry => ({
+                    recipe_id: entry.recipe._id,
+                    name: entry.recipe.name,
+                    servings: entry.servings || entry.recipe.servings
+                })),
+                units,
+                categories,
+                createdAt: new Date()
+            }
+            const result = await db.collection('shopping_lists').insertOne(shoppingList);
+
+            res.status(201).json({
+                message: "Shopping list created",
+                shoppingListId: result.insertedId,
+                categories
+            })
+        } catch (error) {
+            console.error('Error creating shopping list:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // READ the saved shopping lists of the logged in user, newest first
+    app.get('/shopping-lists', verifyToken, async function (req, res) {
+        try {
+            const shoppingLists = await db.collection('shopping_lists').find({
+                user_id: new ObjectId(req.tokenData.user_id)
+            }).project({ name: 1, recipes: 1, createdAt: 1 }).sort({ createdAt: -1 }).toArray();
+            res.json({ shoppingLists });
+        } catch (error) {
+            console.error('Error fetching shopping lists:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // READ one saved shopping list, example /shopping-lists/<ID>
+    app.get('/shopping-lists/:id', verifyToken, async function (req, res) {
+        try {
+            const shoppingList = await db.collection('shopping_lists').findOne({
+                _id: new ObjectId(req.params.id),
+                user_id: new ObjectId(req.tokenData.user_id)
+            });
+            if (!shoppingList) {
+                return res.status(404).json({ error: 'Shopping list not found' });
+            }
+            res.json({ shoppingList });
+        } catch (error) {
+            if (error instanceof BSONError) {
+                return res.status(400).json({ error: "Invalid shopping list ID format." });
+            }
+            console.error('Error fetching shopping list:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // TICK an item on or off, example /shopping-lists/<ID>/items/<item_id>
+    // sample request body
+    // {   "checked": true   }
+    app.patch('/shopping-lists/:id/items/:item_id', verifyToken, async function (req, res) {
+        try {
+            if (typeof req.body.checked !== "boolean") {
+                return res.status(400).json({ error: "checked must be true or false" });
+            }
+            const itemId = new ObjectId(req.params.item_id);
+
+            // items sit inside categories, so two array filters find the item
+            const result = await db.collection('shopping_lists').updateOne(
+                {
+                    _id: new ObjectId(req.params.id),
+                    user_id: new ObjectId(req.tokenData.user_id),
+                    "categories.items.item_id": itemId
+                },
+                { $set: { "categories.$[].items.$[item].checked": req.body.checked } },
+                { arrayFilters: [{ "item.item_id": itemId }] });
+
+            if (result.matchedCount === 0) {
+                return res.status(404).json({ error: 'Shopping list item not found' });
+            }
+            res.json({ message: 'Shopping list item updated' });
+        } catch (error) {
+            if (error instanceof BSONError) {
+                return res.status(400).json({ error: "Invalid shopping list or item ID format." });
+            }
+            console.error('Error updating shopping list item:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // DELETE a saved shopping list, example /shopping-lists/<ID>
+    app.delete('/shopping-lists/:id', verifyToken, async function (req, res) {
+        try {
+            const result = await db.collection('shopping_lists').deleteOne({
+                _id: new ObjectId(req.params.id),
+                user_id: new ObjectId(req.tokenData.user_id)
+            });
+            if (result.deletedCount === 0) {
+                return res.status(404).json({ error: 'Shopping list not found' });
+            }
+            res.json({ message: 'Deleted successfully' });
+        } catch (error) {
+            if (error instanceof BSONError) {
+                return res.status(400).json({ error: "Invalid shopping list ID format." });
+            }
+            console.error('Error deleting shopping list:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // MEAL PLAN: read the plan of the logged in user for the week of a date, example /meal-plans/2026-10-19
+    //   any date can be given, the plan is the one of the week (Monday to Sunday) it falls in
+    //   each day lists breakfast, lunch and dinner with the total prep & cook time of the day
+    app.get('/meal-plans/:date', verifyToken, async function (req, res) {
+        try {
+            const weekStart = weekStartOf(req.params.date);
+            if (!weekStart) {
+                return res.status(400).json({ error: "Invalid date, use YYYY-MM-DD" });
+            }
+
+            const mealPlan = await loadMealPlan(db, new ObjectId(req.tokenData.user_id), weekStart);
+            res.json({ mealPlan });
+        } catch (error) {
+            console.error('Error fetching meal plan:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // MEAL PLAN: put a recipe on a day & slot, replacing what was there, example /meal-plans/2026-10-19/monday/dinner
+    // sample request body
+    // {   "recipeId": "695f64e320c0ab9c7a35125d"   }
+    app.put('/meal-plans/:date/:day/:slot', verifyToken, async function (req, res) {
+        try {
+            const weekStart = weekStartOf(req.params.date);
+            const { day, slot } = req.params;
+            if (!weekStart) {
+                return res.status(400).json({ error: "Invalid date, use YYYY-MM-DD" });
+            }
+            if (!DAYS.includes(day) || !SLOTS.includes(slot)) {
+                return res.status(400).json({ error: `Use a day of ${DAYS.join(", ")} and a slot of ${SLOTS.join(", ")}` });
+            }
+
+            if (!req.body || typeof req.body.recipeId !== "string" || !ObjectId.isValid(req.body.recipeId)) {
+                return res.status(400).json({ error: "recipeId is required" });
+            }
+            const recipeId = new ObjectId(req.body.recipeId);
+            if (!(await db.collection('recipes').findOne({ _id: recipeId, ...NOT_TRASHED }, { projection: { _id: 1 } }))) {
+                return res.status(404).json({ error: 'Recipe not found' });
+            }
+
+            const userId = new ObjectId(req.tokenData.user_id);
+            const filter = { user_id: userId, weekStart };
+
+            // replace what was planned for the slot with the new entry in one update (creating the plan if needed),
+            //   so a request running at the same time never sees the slot empty or planned twice
+            const entry = { entry_id: new ObjectId(), day, slot, recipe_id: recipeId };
+            await db.collection('meal_plans').updateOne(filter, [
+                {
+                    $set: {
+                        entries: {
+                            $concatArrays: [
+                                {
+                                    $filter: {
+                                        input: { $ifNull: ["$entries", []] },
+                                        as: "entry",
+                                        cond: { $not: [{ $and: [{ $eq: ["$$entry.day", day] }, { $eq: ["$$entry.slot", slot] }] }] }
+                                    }
+                                },
+                                [{ $literal: entry }]
+                            ]
+                        },
+                        updatedAt: "$$NOW"
+                    }
+                }
+            ], { upsert: true });
+
+            res.json({ mealPlan: await loadMealPlan(db, userId, weekStart) });
+        } catch (error) {
+            if (error instanceof BSONError) {
+                return res.status(400).json({ error: "Invalid recipe ID format." });
+            }
+            console.error('Error updating meal plan:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // MEAL PLAN: clear a day & slot, example /meal-plans/2026-10-19/monday/dinner
+    app.delete('/meal-plans/:date/:day/:slot', verifyToken, async function (req, res) {
+        try {
+            const weekStart = weekStartOf(req.params.date);
+            const { day, slot } = req.params;
+            if (!weekStart) {
+                return res.status(400).json({ error: "Invalid date, use YYYY-MM-DD" });
+            }
+
+            const userId = new ObjectId(req.tokenData.user_id);
+            const result = await db.collection('meal_plans').updateOne(
+                { user_id: userId, weekStart, entries: { $elemMatch: { day, slot } } },
+                { $pull: { entries: { day, slot } }, $set: { updatedAt: new Date() } });
+
+            if (result.matchedCount === 0) {
+                return res.status(404).json({ error: 'Nothing planned for this slot' });
+            }
+            res.json({ mealPlan: await loadMealPlan(db, userId, weekStart) });
+        } catch (error) {
+            console.error('Error updating meal plan:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // MEAL PLAN: copy a week to another week, by default the next one, example /meal-plans/2026-10-19/copy
+    //   the target week must be empty unless overwrite is true
+    // sample request body
+    // {   "to": "2026-10-26", "overwrite": false   }
+    app.post('/meal-plans/:date/copy', verifyToken, async function (req, res) {
+        try {
+            const weekStart = weekStartOf(req.params.date);
+            if (!weekStart) {
+                return res.status(400).json({ error: "Invalid date, use YYYY-MM-DD" });
+            }
+            const targetWeek = req.body && req.body.to ? weekStartOf(req.body.to) : addDays(weekStart, 7);
+            if (!targetWeek || targetWeek === weekStart) {
+                return res.status(400).json({ error: "Invalid target week" });
+            }
+
+            const userId = new ObjectId(req.tokenData.user_id);
+            const source = await db.collection('meal_plans').findOne({ user_id: userId, weekStart });
+            if (!source || source.entries.length === 0) {
+                return res.status(404).json({ error: 'Nothing planned for this week' });
+            }
+
+            const target = await db.collection('meal_plans').findOne({ user_id: userId, weekStart: targetWeek });
+            if (target && target.entries.length > 0 && !(req.body && req.body.overwrite === true)) {
+                return res.status(409).json({ error: "The target week already has a plan, set overwrite to replace it" });
+            }
+
+            await db.collection('meal_plans').updateOne(
+                { user_id: userId, weekStart: targetWeek },
+                {
+                    $set: {
+                        entries: source.entries.map(entry => ({ ...entry, entry_id: new ObjectId() })),
+                        updatedAt: new Date()
+                    }
+                },
+                { upsert: true });
+
+            res.status(201).json({ mealPlan: await loadMealPlan(db, userId, targetWeek) });
+        } catch (error) {
+            console.error('Error copying meal plan:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // MEAL PLAN: let AI fill the empty slots of a week with existing recipes, example /meal-plans/2026-10-19/ai-fill
+    //   the user's constraints are in natural language, slots limits what to fill (default every empty slot)
+    // sample request body
+    // {   "constraints": "vegetarian dinners, quick breakfasts", "slots": ["breakfast", "dinner"]   }
+    app.post('/meal-plans/:date/ai-fill', verifyToken, async function (req, res) {
+        try {
+            const weekStart = weekStartOf(req.params.date);
+            if (!weekStart) {
+                return res.status(400).json({ error: "Invalid date, use YYYY-MM-DD" });
+            }
+            const { constraints } = req.body || {};
+            const slots = (req.body && Array.isArray(req.body.slots) ? req.body.slots : SLOTS).filter(slot => SLOTS.includes(slot));
+
+            const userId = new ObjectId(req.tokenData.user_id);
+            const plan = await db.collection('meal_plans').findOne({ user_id: userId, weekStart });
+            const entries = plan ? plan.entries : [];
+
+            const openSlots = DAYS.flatMap(day => slots
+                .filter(slot => !entries.some(entry => entry.day === day && entry.slot === slot))
+                .map(slot => ({ day, slot })));
+            if (openSlots.length === 0) {
+                return res.status(400).json({ error: "There are no empty slots to fill" });
+            }
+
+            const allCuisines = await db.collection('cuisines').distinct('name');
+            const allTags = await db.collection('tags').distinct('name');
+
+            // the AI can only choose from recipes in the database, the best rated first
+            const recipes = await db.collection('recipes').find(NOT_TRASHED)
+                .project({ name: 1, cuisine: 1, tags: 1, prepTime: 1, cookTime: 1 })
+                .sort({ averageRating: -1, _id: 1 })
+                .limit(200)
+                .toArray();
+            const candidates = recipes.map(recipe => ({
+                _id: recipe._id.toString(),
+                name: recipe.name,
+                cuisine: recipe.cuisine && recipe.cuisine.name,
+                tags: (recipe.tags || []).map(tag => tag.name),
+                prepTime: recipe.prepTime,
+                cookTime: recipe.cookTime
+            }));
+
+            let suggestion;
+            try {
+                suggestion = await suggestMealPlan(constraints, allCuisines, allTags, candidates, openSlots);
+            } catch (error) {
+                console.error("Error suggesting meal plan:", error);
+                return res.status(502).json({ error: "AI could not plan the week, please try again" });
+            }
+
+            // keep only suggestions for open slots with recipes that exist
+            const candidateIds = new Set(candidates.map(candidate => candidate._id));
+            const newEntries = [];
+            for (const meal of suggestion.meals || []) {
+                const isOpen = openSlots.some(open => open.day === meal.day && open.slot === meal.slot);
+                const isTaken = newEntries.some(entry => entry.day === meal.day && entry.slot === meal.slot);
+                if (isOpen && !isTaken && candidateIds.has(meal.recipeId)) {
+                    newEntries.push({ entry_id: new ObjectId(), day: meal.day, slot: meal.slot, recipe_id: new ObjectId(meal.recipeId) });
+                }
+            }
+
+            if (newEntries.length > 0) {
+                await db.collection('meal_plans').updateOne(
+                    { user_id: userId, weekStart },
+                    { $push: { entries: { $each: newEntries } }, $set: { updatedAt: new Date() } },
+                    { upsert: true });
+            }
+
+            res.json({
+                filled: newEntries.length,
+                mealPlan: await loadMealPlan(db, userId, weekStart)
+            });
+        } catch (error) {
+            console.error('Error filling meal plan:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // FAVORITES of the logged in user, most recently added last
+    app.get('/users/me/favorites', verifyToken, async function (req, res) {
+        try {
+            const user = await db.collection('users').findOne(
+                { _id: new ObjectId(req.tokenData.user_id) },
+                { projection: { favorites: 1 } });
+
+            res.json({ recipes: await findRecipesInOrder(db, (user && user.favorites) || []) });
+        } catch (error) {
+            console.error('Error fetching favorites:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // FAVORITES: add a recipe, example /users/me/favorites/695f64e320c0ab9c7a35125d
+    app.put('/users/me/favorites/:recipeId', verifyToken, async function (req, res) {
+        try {
+            const recipeId = new ObjectId(req.params.recipeId);
+            if (!(await db.collection('recipes').findOne({ _id: recipeId, ...NOT_TRASHED }, { projection: { _id: 1 } }))) {
+                return res.status(404).json({ error: 'Recipe not found' });
+            }
+
+            await db.collection('users').updateOne(
+                { _id: new ObjectId(req.tokenData.user_id) },
+                { $addToSet: { favorites: recipeId } });
+            res.json({ message: 'Added to favorites' });
+        } catch (error) {
+            if (error instanceof BSONError) {
+                return res.status(400).json({ error: "Invalid recipe ID format." });
+            }
+            console.error('Error adding favorite:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // FAVORITES: remove a recipe, example /users/me/favorites/695f64e320c0ab9c7a35125d
+    app.delete('/users/me/favorites/:recipeId', verifyToken, async function (req, res) {
+        try {
+            const recipeId = new ObjectId(req.params.recipeId);
+            const result = await db.collection('users').updateOne(
+                { _id: new ObjectId(req.tokenData.user_id), favorites: recipeId },
+                { $pull: { favorites: recipeId } });
+
+            if (result.matchedCount === 0) {
+                return res.status(404).json({ error: 'Recipe is not a favorite' });
+            }
+            res.json({ message: 'Removed from favorites' });
+        } catch (error) {
+            if (error instanceof BSONError) {
+                return res.status(400).json({ error: "Invalid recipe ID format." });
+            }
+            console.error('Error removing favorite:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // COOKBOOKS: named, ordered collections of recipes, private unless shared with a link
+    // sample request body
+    // {   "name": "Weeknight dinners", "description": "Under 30 minutes"   }
+    app.post('/cookbooks', verifyToken, async function (req, res) {
+        try {
+            const name = normalizeCatalogName(req.body.name);
+            if (!name) {
+                return res.status(400).json({ error: "Missing required fields" });
+            }
+
+            const now = new Date();
+            const result = await db.collection('cookbooks').insertOne({
+                user_id: new ObjectId(req.tokenData.user_id),
+                name,
+                description: req.body.description || "",
+                recipe_ids: [],
+                visibility: "private",
+                createdAt: now,
+                updatedAt: now
+            });
+            res.status(201).json({
+                message: "Cookbook created",
+                cookbookId: result.insertedId
+            })
+        } catch (error) {
+            console.error('Error creating cookbook:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // COOKBOOKS of the logged in user
+    app.get('/cookbooks', verifyToken, async function (req, res) {
+        try {
+            const cookbooks = await db.collection('cookbooks').find({
+                user_id: new ObjectId(req.tokenData.user_id)
+            }).sort({ updatedAt: -1 }).toArray();
+            res.json({ cookbooks });
+        } catch (error) {
+            console.error('Error fetching cookbooks:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // COOKBOOK opened with its share link, no login needed, example /cookbooks/shared/<share token>
+    app.get('/cookbooks/shared/:token', async function (req, res) {
+        try {
+            const cookbook = await db.collection('cookbooks').findOne(
+                { shareToken: req.params.token, visibility: "public" },
+                { projection: { user_id: 0, shareToken: 0 } });
+            if (!cookbook) {
+                return res.status(404).json({ error: 'Cookbook not found' });
+            }
+
+            res.json({ cookbook: { ...cookbook, recipes: await findRecipesInOrder(db, cookbook.recipe_ids) } });
+        } catch (error) {
+            console.error('Error fetching cookbook:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // COOKBOOK of the logged in user with its recipes in order, example /cookbooks/<ID>
+    app.get('/cookbooks/:id', verifyToken, async function (req, res) {
+        try {
+            const cookbook = await db.collection('cookbooks').findOne({
+                _id: new ObjectId(req.params.id),
+                user_id: new ObjectId(req.tokenData.user_id)
+            });
+            if (!cookbook) {
+                return res.status(404).json({ error: 'Cookbook not found' });
+            }
+
+            res.json({ cookbook: { ...cookbook, recipes: await findRecipesInOrder(db, cookbook.recipe_ids) } });
+        } catch (error) {
+            if (error instanceof BSONError) {
+                return res.status(400).json({ error: "Invalid cookbook ID format." });
+            }
+            console.error('Error fetching cookbook:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // COOKBOOK: rename or change the description, example /cookbooks/<ID>
+    // sample request body
+    // {   "name": "Weekend dinners", "description": "Slow cooking"   }
+    app.put('/cookbooks/:id', verifyToken, async function (req, res) {
+        try {
+            const changes = { updatedAt: new Date() };
+            if (req.body.name !== undefined) {
+                changes.name = normalizeCatalogName(req.body.name);
+                if (!changes.name) {
+                    return res.status(400).json({ error: "Invalid name" });
+                }
+            }
+            if (req.body.description !== undefined) {
+                changes.description = String(req.body.description);
+            }
+
+            const result = await db.collection('cookbooks').updateOne(
+                { _id: new ObjectId(req.params.id), user_id: new ObjectId(req.tokenData.user_id) },
+                { $set: changes });
+            if (result.matchedCount === 0) {
+                return res.status(404).json({ error: 'Cookbook not found' });
+            }
+            res.json({ message: "Cookbook has been updated successful" });
+        } catch (error) {
+            if (error instanceof BSONError) {
+                return res.status(400).json({ error: "Invalid cookbook ID format." });
+            }
+            console.error('Error updating cookbook:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // COOKBOOK: delete, example /cookbooks/<ID>
+    app.delete('/cookbooks/:id', verifyToken, async function (req, res) {
+        try {
+            const result = await db.collection('cookbooks').deleteOne({
+                _id: new ObjectId(req.params.id),
+                user_id: new ObjectId(req.tokenData.user_id)
+            });
+            if (result.deletedCount === 0) {
+                return res.status(404).json({ error: 'Cookbook not found' });
+            }
+            res.json({ message: 'Deleted successfully' });
+        } catch (error) {
+            if (error instanceof BSONError) {
+                return res.status(400).json({ error: "Invalid cookbook ID format." });
+            }
+            console.error('Error deleting cookbook:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // COOKBOOK: add a recipe, at the end or at a position (0 is the first), example /cookbooks/<ID>/recipes
+    // sample request body
+    // {   "recipeId": "695f64e320c0ab9c7a35125d", "position": 0   }
+    app.post('/cookbooks/:id/recipes', verifyToken, async function (req, res) {
+        try {
+            const cookbookId = new ObjectId(req.params.id);
+            if (!req.body || typeof req.body.recipeId !== "string" || !ObjectId.isValid(req.body.recipeId)) {
+                return res.status(400).json({ error: "recipeId is required" });
+            }
+            const recipeId = new ObjectId(req.body.recipeId);
+            const position = req.body.position;
+            if (position !== undefined && !(Number.isInteger(position) && position >= 0)) {
+                return res.status(400).json({ error: "position must be a whole number from 0" });
+            }
+
+            if (!(await db.collection('recipes').findOne({ _id: recipeId, ...NOT_TRASHED }, { projection: { _id: 1 } }))) {
+                return res.status(404).json({ error: 'Recipe not found' });
+            }
+
+            const userId = new ObjectId(req.tokenData.user_id);
+            const result = await db.collection('cookbooks').updateOne(
+                { _id: cookbookId, user_id: userId, recipe_ids: { $ne: recipeId } },
+                {
+                    $push: { recipe_ids: position === undefined ? recipeId : { $each: [recipeId], $position: position } },
+                    $set: { updatedAt: new Date() }
+                });
+
+            if (result.matchedCount === 0) {
+                const cookbook = await db.collection('cookbooks').findOne({ _id: cookbookId, user_id: userId });
+                if (!cookbook) {
+                    return res.status(404).json({ error: 'Cookbook not found' });
+                }
+                return res.status(409).json({ error: 'Recipe is already in the cookbook' });
+            }
+            res.status(201).json({ message: 'Recipe added to cookbook' });
+        } catch (error) {
+            if (error instanceof BSONError) {
+                return res.status(400).json({ error: "Invalid cookbook or recipe ID format." });
+            }
+            console.error('Error adding recipe to cookbook:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // COOKBOOK: remove a recipe, example /cookbooks/<ID>/recipes/695f64e320c0ab9c7a35125d
+    app.delete('/cookbooks/:id/recipes/:recipeId', verifyToken, async function (req, res) {
+        try {
+            const recipeId = new ObjectId(req.params.recipeId);
+            const result = await db.collection('cookbooks').updateOne(
+                { _id: new ObjectId(req.params.id), user_id: new ObjectId(req.tokenData.user_id), recipe_ids: recipeId },
+                { $pull: { recipe_ids: recipeId }, $set: { updatedAt: new Date() } });
+
+            if (result.matchedCount === 0) {
+                return res.status(404).json({ error: 'Recipe is not in the cookbook' });
+            }
+            res.json({ message: 'Recipe removed from cookbook' });
+        } catch (error) {
+            if (error instanceof BSONError) {
+                return res.status(400).json({ error: "Invalid cookbook or recipe ID format." });
+            }
+            console.error('Error removing recipe from cookbook:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // COOKBOOK: reorder the recipes, the body lists every recipe of the cookbook in the new order
+    // sample request body
+    // {   "recipeIds": ["695f64e320c0ab9c7a35125e", "695f64e320c0ab9c7a35125d"]   }
+    app.put('/cookbooks/:id/recipes/order', verifyToken, async function (req, res) {
+        try {
+            const cookbookFilter = { _id: new ObjectId(req.params.id), user_id: new ObjectId(req.tokenData.user_id) };
+            const cookbook = await db.collection('cookbooks').findOne(cookbookFilter);
+            if (!cookbook) {
+                return res.status(404).json({ error: 'Cookbook not found' });
+            }
+
+            const recipeIds = Array.isArray(req.body.recipeIds) ? req.body.recipeIds.map(id => String(id)) : [];
+            const current = cookbook.recipe_ids.map(id => id.toString());
+            const sameRecipes = recipeIds.length === current.length &&
+                new Set(recipeIds).size === recipeIds.length &&
+                recipeIds.every(id => current.includes(id));
+            if (!sameRecipes) {
+                return res.status(400).json({ error: "recipeIds must list every recipe of the cookbook exactly once" });
+            }
+
+            await db.collection('cookbooks').updateOne(cookbookFilter, {
+                $set: { recipe_ids: recipeIds.map(id => new ObjectId(id)), updatedAt: new Date() }
+            });
+            res.json({ message: 'Cookbook has been reordered' });
+        } catch (error) {
+            if (error instanceof BSONError) {
+                return res.status(400).json({ error: "Invalid cookbook ID format." });
+            }
+            console.error('Error reordering cookbook:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // COOKBOOK: make it public and get its share link, example /cookbooks/<ID>/share
+    //   sharing again keeps the same link
+    app.post('/cookbooks/:id/share', verifyToken, async function (req, res) {
+        try {
+            const cookbookFilter = { _id: new ObjectId(req.params.id), user_id: new ObjectId(req.tokenData.user_id) };
+            const cookbook = await db.collection('cookbooks').findOne(cookbookFilter);
+            if (!cookbook) {
+                return res.status(404).json({ error: 'Cookbook not found' });
+            }
+
+            const shareToken = cookbook.shareToken || crypto.randomBytes(16).toString('hex');
+            await db.collection('cookbooks').updateOne(cookbookFilter, {
+                $set: { visibility: "public", shareToken, updatedAt: new Date() }
+            });
+            res.json({ shareToken, link: `/cookbooks/shared/${shareToken}` });
+        } catch (error) {
+            if (error instanceof BSONError) {
+                return res.status(400).json({ error: "Invalid cookbook ID format." });
+            }
+            console.error('Error sharing cookbook:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // COOKBOOK: make it private again, the old share link stops working, example /cookbooks/<ID>/share
+    app.delete('/cookbooks/:id/share', verifyToken, async function (req, res) {
+        try {
+            const result = await db.collection('cookbooks').updateOne(
+                { _id: new ObjectId(req.params.id), user_id: new ObjectId(req.tokenData.user_id) },
+                { $set: { visibility: "private", updatedAt: new Date() }, $unset: { shareToken: "" } });
+            if (result.matchedCount === 0) {
+                return res.status(404).json({ error: 'Cookbook not found' });
+            }
+            res.json({ message: 'Cookbook is private' });
+        } catch (error) {
+            if (error instanceof BSONError) {
+                return res.status(400).json({ error: "Invalid cookbook ID format." });
+            }
+            console.error('Error unsharing cookbook:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // CUISINES: list, create, rename and delete, example /cuisines
+    //   recipes embed a copy of the cuisine { _id, name }, renames are written through to every recipe
+    app.get('/cuisines', async function (req, res) {
+        try {
+            const cuisines = await db.collection('cuisines').find({}).sort({ name: 1 }).toArray();
+            res.json({ cuisines });
+        } catch (error) {
+            console.error('Error fetching cuisines:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // sample request body { "name": "Korean" }
+    app.post('/cuisines', verifyToken, requireRole("admin"), async function (req, res) {
+        try {
+            const name = normalizeCatalogName(req.body.name);
+            if (!name) {
+                return res.status(400).json({ error: "Missing required fields" });
+            }
+
+            if (await db.collection('cuisines').findOne({ name })) {
+                return res.status(409).json({ error: "Cuisine already exists" });
+            }
+
+            const result = await db.collection('cuisines').insertOne({ name });
+            res.status(201).json({
+                message: "Cuisine created",
+                cuisineId: result.insertedId
+            })
+        } catch (error) {
+            console.error('Error creating cuisine:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // sample request body { "name": "Korean" }
+    app.put('/cuisines/:id', verifyToken, requireRole("admin"), async function (req, res) {
+        try {
+            const cuisineId = new ObjectId(req.params.id);
+            const name = normalizeCatalogName(req.body.name);
+            if (!name) {
+                return res.status(400).json({ error: "Missing required fields" });
+            }
+
+            if (await db.collection('cuisines').findOne({ name, _id: { $ne: cuisineId } })) {
+                return res.status(409).json({ error: "Cuisine already exists" });
+            }
+
+            const result = await db.collection('cuisines').updateOne(
+                { _id: cuisineId },
+                { $set: { name } });
+
+            if (result.matchedCount === 0) {
+                return res.status(404).json({ error: 'Cuisine not found' });
+            }
+
+            // write the new name through to the embedded copies
+            const recipes = await db.collection('recipes').updateMany(
+                { "cuisine._id": cuisineId },
+                { $set: { "cuisine.name": name } });
+
+            res.json({
+                message: "Cuisine has been updated successful",
+                recipesUpdated: recipes.modifiedCount
+            })
+        } catch (error) {
+            if (error instanceof BSONError) {
+                return res.status(400).json({ error: "Invalid cuisine ID format." });
+            }
+            console.error('Error updating cuisine:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // a cuisine still used by recipes is only deleted when they are moved to another one
+    //   example /cuisines/<ID>?reassignTo=<ID of the replacement cuisine>
+    app.delete('/cuisines/:id', verifyToken, requireRole("admin"), async function (req, res) {
+        try {
+            const cuisineId = new ObjectId(req.params.id);
+            const cuisine = await db.collection('cuisines').findOne({ _id: cuisineId });
+            if (!cuisine) {
+                return res.status(404).json({ error: 'Cuisine not found' });
+            }
+
+            const usedBy = await db.collection('recipes').countDocuments({ "cuisine._id": cuisineId });
+            let recipesUpdated = 0;
+
+            if (usedBy > 0) {
+                if (!req.query.reassignTo) {
+                    return res.status(409).json({
+                        error: "Cuisine is used by recipes, provide reassignTo to move them to another cuisine",
+                        recipeCount: usedBy
+                    });
+                }
+
+                const target = await db.collection('cuisines').findOne({ _id: new ObjectId(req.query.reassignTo) });
+                if (!target || target._id.equals(cuisineId)) {
+                    return res.status(400).json({ error: "Invalid cuisine to reassign to" });
+                }
+
+                const result = await db.collection('recipes').updateMany(
+                    { "cuisine._id": cuisineId },
+                    { $set: { cuisine: { _id: target._id, name: target.name } } });
+                recipesUpdated = result.modifiedCount;
+            }
+
+            await db.collection('cuisines').deleteOne({ _id: cuisineId });
+            res.json({
+                message: 'Deleted successfully',
+                recipesUpdated
+            })
+        } catch (error) {
+            if (error instanceof BSONError) {
+                return res.status(400).json({ error: "Invalid cuisine ID format." });
+            }
+            console.error('Error deleting cuisine:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // TAGS: list, create, rename and delete, example /tags
+    //   recipes embed the full tag documents, renames are written through to every recipe
+    app.get('/tags', async function (req, res) {
+        try {
+            const tags = await db.collection('tags').find({}).sort({ name: 1 }).toArray();
+            res.json({ tags });
+        } catch (error) {
+            console.error('Error fetching tags:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // sample request body { "name": "spicy" }
+    app.post('/tags', verifyToken, requireRole("admin"), async function (req, res) {
+        try {
+            const name = normalizeCatalogName(req.body.name);
+            if (!name) {
+                return res.status(400).json({ error: "Missing required fields" });
+            }
+
+            if (await db.collection('tags').findOne({ name })) {
+                return res.status(409).json({ error: "Tag already exists" });
+            }
+
+            const result = await db.collection('tags').insertOne({ name });
+            res.status(201).json({
+                message: "Tag created",
+                tagId: result.insertedId
+            })
+        } catch (error) {
+            console.error('Error creating tag:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // sample request body { "name": "spicy" }
+    app.put('/tags/:id', verifyToken, requireRole("admin"), async function (req, res) {
+        try {
+            const tagId = new ObjectId(req.params.id);
+            const name = normalizeCatalogName(req.body.name);
+            if (!name) {
+                return res.status(400).json({ error: "Missing required fields" });
+            }
+
+            if (await db.collection('tags').findOne({ name, _id: { $ne: tagId } })) {
+                return res.status(409).json({ error: "Tag already exists" });
+            }
+
+            const result = await db.collection('tags').updateOne(
+                { _id: tagId },
+                { $set: { name } });
+
+            if (result.matchedCount === 0) {
+                return res.status(404).json({ error: 'Tag not found' });
+            }
+
+            // write the new name through to the embedded copies, arrayFilters picks the matching tag
+            const recipes = await db.collection('recipes').updateMany(
+                { "tags._id": tagId },
+                { $set: { "tags.$[tag].name": name } },
+                { arrayFilters: [{ "tag._id": tagId }] });
+
+            res.json({
+                message: "Tag has been updated successful",
+                recipesUpdated: recipes.modifiedCount
+            })
+        } catch (error) {
+            if (error instanceof BSONError) {
+                return res.status(400).json({ error: "Invalid tag ID format." });
+            }
+            console.error('Error updating tag:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // a tag still used by recipes is only deleted when they are moved to another one
+    //   example /tags/<ID>?reassignTo=<ID of the replacement tag>
+    app.delete('/tags/:id', verifyToken, requireRole("admin"), async function (req, res) {
+        try {
+            const tagId = new ObjectId(req.params.id);
+            const tag = await db.collection('tags').findOne({ _id: tagId });
+            if (!tag) {
+                return res.status(404).json({ error: 'Tag not found' });
+            }
+
+            const usedBy = await db.collection('recipes').countDocuments({ "tags._id": tagId });
+            let recipesUpdated = 0;
+
+            if (usedBy > 0) {
+                if (!req.query.reassignTo) {
+                    return res.status(409).json({
+                        error: "Tag is used by recipes, provide reassignTo to move them to another tag",
+                        recipeCount: usedBy
+                    });
+                }
+
+                const target = await db.collection('tags').findOne({ _id: new ObjectId(req.query.reassignTo) });
+                if (!target || target._id.equals(tagId)) {
+                    return res.status(400).json({ error: "Invalid tag to reassign to" });
+                }
+
+                // recipes that already have the target tag only lose the old one
+                const pulled = await db.collection('recipes').updateMany(
+                    { "tags._id": { $all: [tagId, target._id] } },
+                    { $pull: { tags: { _id: tagId } } });
+
+                // the others get the old tag replaced by the target tag
+                const replaced = await db.collection('recipes').updateMany(
+                    { "tags._id": tagId },
+                    { $set: { "tags.$[tag]": target } },
+                    { arrayFilters: [{ "tag._id": tagId }] });
+
+                recipesUpdated = pulled.modifiedCount + replaced.modifiedCount;
+            }
+
+            await db.collection('tags').deleteOne({ _id: tagId });
+            res.json({
+                message: 'Deleted successfully',
+                recipesUpdated
             })
+        } catch (error) {
+            if (error instanceof BSONError) {
+                return res.status(400).json({ error: "Invalid tag ID format." });
+            }
+            console.error('Error deleting tag:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // Usecase - recipe search using natural language and translation  
+    // 1. Call AI to convert user's natural multilingual languages query into a structured search params 
+    //    in English using available tags, cuisines and ingredients avaiable from database. 
+    // 2. Prompt AI in the same call to infer the main user language from the query      
+    // 3. Find receipts from MongoDB using criteria formed from the above AI response
+    // 4. Call AI to translate the recipes on the requested page into the user language
+    // example: ?q=想做泰国鸡肉汤&page=1&limit=5
+    //   lang=<language> overrides the detected language, e.g. when detection gets it wrong
+    //   cuisines, tags & ingredients (comma separated) override the interpreted filters,
+    //   so the user can adjust the searchParams returned in the response and search again
+    app.get('/ai/recipes', async function (req, res) {
+        const query = req.query.q;
+        const { page, limit, skip } = parsePagination(req.query, 5, 20);
+
+        if (!query && !req.query.cuisines && !req.query.tags && !req.query.ingredients) {
+            return res.status(400).json({ error: "Missing query" });
+        }
+
+        let searchParams = { cuisines: [], tags: [], ingredients: [], userLanguage: "English" };
+        if (query) {
+            const allCuisines = await db.collection('cuisines').distinct('name');
+            const allTags = await db.collection('tags').distinct('name');
+            const allIngredients = await db.collection('recipes').distinct('ingredients.name');
+
+            // call AI to generate strutured search parameters
+            try {
+                searchParams = await generateSearchParams(query, allTags, allCuisines, allIngredients);
+            } catch (error) {
+                console.error("Error generating search params:", error);
+                return res.status(502).json({ error: "AI could not understand the query, please try again" });
+            }
+        }
+
+        // filters given explicitly take over from the AI interpretation
+        for (const field of ["cuisines", "tags", "ingredients"]) {
+            if (req.query[field]) {
+                searchParams[field] = req.query[field].split(",");
+            }
+        }
+
+        const criteria = { ...NOT_TRASHED };
+
+        if (searchParams.cuisines && searchParams.cuisines.length > 0) {
+            criteria["cuisine.name"] = {
+                $in: searchParams.cuisines
+            }
+        }
+
+        if (searchParams.ingredients && searchParams.ingredients.length > 0) {
+            criteria["ingredients.name"] = {
+                $all: searchParams.ingredients
+            }
+        }
+
+        if (searchParams.tags && searchParams.tags.length > 0) {
+            criteria['tags.name'] = {
+                $in: searchParams.tags
+            }
+        }
+
+        const userLanguage = req.query.lang || searchParams.userLanguage || "English";
+        const total = await db.collection('recipes').countDocuments(criteria);
+        const recipes = await db.collection('recipes').find(criteria).project({
+            name: 1, cuisine: 1, tags: 1, prepTime: 1, cookTime: 1, servings: 1,
+            ingredients: 1, instructions: 1, averageRating: 1, reviewCount: 1, version: 1
+        }).sort({ _id: 1 }).skip(skip).limit(limit).toArray();
+
+        // call AI to translate recipes, not needed when the user writes English
+        console.log(userLanguage);
+        let translatedRecipes = recipes;
+        if (!isEnglish(userLanguage) && recipes.length > 0) {
+            try {
+                const translations = await getTranslations(db, recipes, userLanguage);
+                translatedRecipes = applyTranslations(recipes, translations);
+            } catch (error) {
+                // still useful without translation, the client can tell from translated: false
+                console.error("Error translating recipes:", error);
+                translatedRecipes = recipes.map(recipe => ({ ...recipe, translated: false }));
+            }
+        }
+
+        res.json({
+            lang: userLanguage,
+            searchParams,
+            recipes: translatedRecipes,
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit)
+        })
+    })
+
+    // Use AI to generte a structured recipe from user's natural langauage description 
+    //   the logged in user becomes the owner of the recipe
+    //   mode "draft" stores the parsed recipe as a pending draft to be reviewed, edited and confirmed,
+    //   otherwise the recipe is saved straight away without the unknown tags
+    // sample request body
+    // {   "recipeText": "Make a quick Italian pasta carbonara ...", "mode": "draft"   }
+    app.post('/ai/recipes', verifyToken, validateBody(aiRecipeSchema), async function (req, res) {
+        try {
+            // recipe text from the request body
+            const recipeText = req.body.recipeText; 
+            const allCuisines = await db.collection('cuisines').distinct('name');
+            const allTags = await db.collection('tags').distinct('name');
+
+            // call AI to generate the recipe 
+            let newRecipe;
+            try {
+                newRecipe = pickRecipeFields(await generateRecipe(recipeText, allCuisines, allTags));
+            } catch (error) {
+                console.error("Error generating recipe:", error);
+                return res.status(502).json({ error: "AI could not generate a valid recipe, please try again" });
+            }
+
+            const warnings = await checkRecipeDraft(db, newRecipe);
+
+            if (req.body.mode === "draft") {
+                const now = new Date();
+                const draft = {
+                    user_id: new ObjectId(req.tokenData.user_id),
+                    recipeText,
+                    recipe: newRecipe,
+                    warnings,
+                    createdAt: now,
+                    updatedAt: now
+                }
+                const result = await db.collection('recipe_drafts').insertOne(draft);
+                return res.status(201).json({
+                    draftId: result.insertedId,
+                    recipe: newRecipe,
+                    warnings
+                })
+            }
+
+            // drop the tags that do not exist, and tell the user about it in the warnings
+            const knownTags = await db.collection('tags').distinct('name', { name: { $in: newRecipe.tags || [] } });
+            const status = await validateRecipe(db, {
+                ...newRecipe,
+                tags: (newRecipe.tags || []).filter(tag => knownTags.includes(tag))
+            });
+            if (!status.success) {
+                return res.status(400).json({ error: status.error, errors: status.errors, recipe: newRecipe, warnings });
+            }
+
+            status.newRecipe.user_id = new ObjectId(req.tokenData.user_id);
+
+            // insert into the database
+            const result = await db.collection('recipes').insertOne(status.newRecipe);
+            res.status(201).json({ recipeId: result.insertedId, warnings })
+        } catch (error) {
+            console.error("Error creating recipe with AI:", error);
+            res.status(500).json({ error: "Internal server error" });
+        }
+    })
+
+    // READ the pending AI drafts of the logged in user, newest first
+    app.get('/ai/recipes/drafts', verifyToken, async function (req, res) {
+        try {
+            const drafts = await db.collection('recipe_drafts').find({
+                user_id: new ObjectId(req.tokenData.user_id)
+            }).sort({ updatedAt: -1 }).toArray();
+            res.json({ drafts });
+        } catch (error) {
+            console.error('Error fetching drafts:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // READ one draft, example /ai/recipes/drafts/<draft ID>
+    app.get('/ai/recipes/drafts/:id', verifyToken, async function (req, res) {
+        try {
+            const draft = await db.collection('recipe_drafts').findOne({
+                _id: new ObjectId(req.params.id),
+                user_id: new ObjectId(req.tokenData.user_id)
+            });
+            if (!draft) {
+                return res.status(404).json({ error: 'Draft not found' });
+            }
+            res.json({ draft });
+        } catch (error) {
+            if (error instanceof BSONError) {
+                return res.status(400).json({ error: "Invalid draft ID format." });
+            }
+            console.error('Error fetching draft:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // UPDATE(put) a draft with the user's corrections, the warnings are checked again
+    //   request body has the same fields as /recipes/create
+    //   fields may still be missing, but those given must have the right types
+    app.put('/ai/recipes/drafts/:id', verifyToken, validateBody(recipeSchema, { partial: true }), async function (req, res) {
+        try {
+            const recipe = pickRecipeFields(req.body);
+            const warnings = await checkRecipeDraft(db, recipe);
+
+            const result = await db.collection('recipe_drafts').updateOne(
+                { _id: new ObjectId(req.params.id), user_id: new ObjectId(req.tokenData.user_id) },
+                { $set: { recipe, warnings, updatedAt: new Date() } });
+
+            if (result.matchedCount === 0) {
+                return res.status(404).json({ error: 'Draft not found' });
+            }
+            res.json({ message: "Draft has been updated successful", recipe, warnings });
+        } catch (error) {
+            if (error instanceof BSONError) {
+                return res.status(400).json({ error: "Invalid draft ID format." });
+            }
+            console.error('Error updating draft:', error);
+            res.status(500).json({ error: 'Internal server error' });
         }
+    })
+
+    // CONFIRM a draft: validate it like /recipes/create, save it as a recipe and remove the draft
+    app.post('/ai/recipes/drafts/:id/confirm', verifyToken, async function (req, res) {
+        try {
+            const draftFilter = {
+                _id: new ObjectId(req.params.id),
+                user_id: new ObjectId(req.tokenData.user_id)
+            }
+            // the draft is taken out first, so a double click or a retry cannot save it twice
+            //   it is put back when it cannot be saved
+            const draft = await db.collection('recipe_drafts').findOneAndDelete(draftFilter);
+            if (!draft) {
+                return res.status(404).json({ error: 'Draft not found' });
+            }
+
+            let status, result;
+            try {
+                status = await validateRecipe(db, draft.recipe);
+                if (status.success) {
+                    status.newRecipe.user_id = draft.user_id;
+                    result = await db.collection('recipes').insertOne(status.newRecipe);
+                }
+            } catch (error) {
+                await db.collection('recipe_drafts').insertOne(draft);
+                throw error;
+            }
+            if (!status.success) {
+                await db.collection('recipe_drafts').insertOne(draft);
+                return res.status(400).json({ error: status.error, errors: status.errors, warnings: draft.warnings });
+            }
 
-        // get all the tags that corresponds 
-        const tagDocs = await db.collection('tags').find({
-            'name': { $in: newRecipe.tags }
-        }).toArray();
-        newRecipe.tags = tagDocs;
+            res.status(201).json({
+                message: "Recipe created",
+                recipeId: result.insertedId
+            })
+        } catch (error) {
+            if (error instanceof BSONError) {
+                return res.status(400).json({ error: "Invalid draft ID format." });
+            }
+            console.error('Error confirming draft:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
 
-        // insert into the database
-        const result = await db.collection('recipes').insertOne(newRecipe);
-        res.json({ recipeId: result.insertedId })
+    // DISCARD a draft, example /ai/recipes/drafts/<draft ID>
+    app.delete('/ai/recipes/drafts/:id', verifyToken, async function (req, res) {
+        try {
+            const result = await db.collection('recipe_drafts').deleteOne({
+                _id: new ObjectId(req.params.id),
+                user_id: new ObjectId(req.tokenData.user_id)
+            });
+            if (result.deletedCount === 0) {
+                return res.status(404).json({ error: 'Draft not found' });
+            }
+            res.json({ message: 'Draft discarded' });
+        } catch (error) {
+            if (error instanceof BSONError) {
+                return res.status(400).json({ error: "Invalid draft ID format." });
+            }
+            console.error('Error discarding draft:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
     })
 
     // User register, password is hashed and stored
     // sample request body
     // {  "email":"test456@gemail.com",
-    //    "password": "rotiprata"        }
-    app.post('/users', async function (req, res) {
-        const result = await db.collection('users')
-            .insertOne({
-                "email": req.body.email,
-                "password": await bcrypt.hash(req.body.password, 12)
-            });
+    //    "password": "rotiprata88"        }
+    app.post('/users', validateBody(userSchema), async function (req, res) {
+        try {
+            const email = normalizeEmail(req.body.email);
+            const password = req.body.password;
 
-        res.json({
-            message: "New user has been create has been created successfully",
-            userId: result.insertedId
-        })
+            if (await db.collection('users').findOne({ email })) {
+                return res.status(409).json({ error: "Email is already registered" });
+            }
+
+            const result = await db.collection('users')
+                .insertOne({
+                    "email": email,
+                    "password": await bcrypt.hash(password, 12),
+                    "role": "user"
+                });
+
+            res.status(201).json({
+                message: "New user has been created successfully",
+                userId: result.insertedId
+            })
+        } catch (error) {
+            // the unique index catches two registrations racing each other
+            if (error.code === 11000) {
+                return res.status(409).json({ error: "Email is already registered" });
+            }
+            console.error('Error creating user:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // Forgot password: email a single use reset token
+    //   the response is the same whether or not the email is registered, so accounts cannot be probed
+    // sample POST body
+    // {   "email":"test456@gemail.com"   }
+    app.post('/password/forgot', async function (req, res) {
+        try {
+            const email = normalizeEmail(req.body.email);
+            const user = isValidEmail(email) && await db.collection('users').findOne({ email });
+
+            if (user) {
+                // only the latest reset token is valid
+                await db.collection('password_resets').deleteMany({ user_id: user._id, usedAt: null });
+
+                const resetToken = generateRefreshToken();
+                await db.collection('password_resets').insertOne({
+                    user_id: user._id,
+                    tokenHash: hashToken(resetToken),
+                    createdAt: new Date(),
+                    expiresAt: new Date(Date.now() + RESET_TOKEN_MINUTES * 60 * 1000),
+                    usedAt: null
+                });
+
+                await sendMail({
+                    to: user.email,
+                    subject: "Reset your password",
+                    text: `Use this token to reset your password within ${RESET_TOKEN_MINUTES} minutes:\n\n${resetToken}\n\n` +
+                        `If you did not ask for a password reset, you can ignore this email.`
+                });
+            }
+
+            res.json({ message: "If the email is registered, a password reset email has been sent" });
+        } catch (error) {
+            console.error('Error requesting password reset:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // Reset password with the token from the email, all sessions of the user are revoked
+    // sample POST body
+    // {   "token": "<reset token from the email>", "password": "teh-tarik-kosong1"   }
+    app.post('/password/reset', validateBody(passwordResetSchema), async function (req, res) {
+        try {
+            const { token, password } = req.body;
+
+            // mark the token used in the same step as finding it, so it cannot be used twice
+            const reset = await db.collection('password_resets').findOneAndUpdate(
+                { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } },
+                { $set: { usedAt: new Date() } });
+
+            if (!reset) {
+                return res.status(400).json({ error: 'Invalid or expired reset token' });
+            }
+
+            await db.collection('users').updateOne(
+                { _id: reset.user_id },
+                { $set: { password: await bcrypt.hash(password, 12), passwordChangedAt: new Date() } });
+            await revokeUserSessions(db, reset.user_id);
+
+            res.json({ message: 'Password has been reset, please login again' });
+        } catch (error) {
+            console.error('Error resetting password:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
     })
 
     // User login, and JWT created and returned  
     // sample POST body
     // {   "email":"test456@gemail.com",
-    //      "password":"rotiprata".       }
-    app.post('/login', async function (req, res) {
-        const { email, password } = req.body;     // eamil id & password from request
+    //      "password":"rotiprata88".       }
+    app.post('/login', validateBody(loginSchema), async function (req, res) {
+        const { password } = req.body;     // eamil id & password from request
+        const email = normalizeEmail(req.body.email);
 
         // retrieve user email id and hashed password from databae  
         const user = await db.collection("users").findOne({ "email": email });
@@ -466,15 +3380,362 @@ async function main() {
         if (user) {
             const isPasswordValid = await bcrypt.compare(password, user.password);
             if (isPasswordValid) {
-                // generate JWT
-                const accessToken = generateAccessToken(user._id, user.email)
+                // generate JWT and refresh token for a new session
+                const { accessToken, refreshToken } = await createSession(db, user);
 
                 // send back JWT
-                res.json({ accessToken })
+                res.json({ accessToken, refreshToken })
             } else { return res.status(401).json({ 'error': 'Invalid login' }) }
         } else { return res.status(401).json({ 'error': 'Invalid login' }) }
     })
 
+    // Exchange a refresh token for a new access token & refresh token (rotation)
+    //   each refresh token can be used once, using an old one again revokes the whole session
+    // sample POST body
+    // {   "refreshToken": "<refresh token from /login or the last /token/refresh>"   }
+    app.post('/token/refresh', async function (req, res) {
+        try {
+            const { refreshToken } = req.body;
+            if (!refreshToken) {
+                return res.status(400).json({ error: 'Missing required fields' });
+            }
+
+            const tokenHash = hashToken(refreshToken);
+            const newRefreshToken = generateRefreshToken();
+
+            // rotate: swap in the new hash and bump the generation in one atomic step
+            const session = await db.collection('sessions').findOneAndUpdate(
+                { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+                {
+                    $set: { refreshTokenHash: hashToken(newRefreshToken) },
+                    $push: { previousTokenHashes: { $each: [tokenHash], $slice: -20 } },
+                    $inc: { generation: 1 }
+                },
+                { returnDocument: 'after' });
+
+            if (!session) {
+                // an already rotated token is being replayed, assume it was stolen
+                const reused = await db.collection('sessions').updateOne(
+                    { previousTokenHashes: tokenHash, revokedAt: null },
+                    { $set: { revokedAt: new Date() } });
+                if (reused.matchedCount > 0) {
+                    console.warn("Refresh token reuse detected, session revoked");
+                }
+                return res.status(401).json({ error: 'Invalid refresh token' });
+            }
+
+            const user = await db.collection('users').findOne({ _id: session.user_id });
+            if (!user) {
+                return res.status(401).json({ error: 'Invalid refresh token' });
+            }
+
+            res.json({
+                accessToken: generateAccessToken(user._id, user.email, user.role, session),
+                refreshToken: newRefreshToken
+            })
+        } catch (error) {
+            console.error('Error refreshing token:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // Logout: revoke the current session, or every session of the user with ?all=true
+    app.post('/logout', verifyToken, async function (req, res) {
+        try {
+            const userId = new ObjectId(req.tokenData.user_id);
+            if (req.query.all === "true") {
+                await revokeUserSessions(db, userId);
+            } else {
+                await db.collection('sessions').updateOne(
+                    { _id: new ObjectId(req.tokenData.sid), user_id: userId },
+                    { $set: { revokedAt: new Date() } });
+            }
+            res.json({ message: 'Logged out successfully' });
+        } catch (error) {
+            console.error('Error logging out:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // Change password of the logged in user, all sessions are revoked so that every device logs in again
+    // sample PUT body
+    // {   "currentPassword": "rotiprata88", "newPassword": "teh-tarik-kosong1"   }
+    app.put('/users/password', verifyToken, validateBody(passwordChangeSchema), async function (req, res) {
+        try {
+            const { currentPassword, newPassword } = req.body;
+
+            const userId = new ObjectId(req.tokenData.user_id);
+            const user = await db.collection('users').findOne({ _id: userId });
+            if (!user || !(await bcrypt.compare(currentPassword, user.password))) {
+                return res.status(401).json({ error: 'Invalid login' });
+            }
+
+            await db.collection('users').updateOne(
+                { _id: userId },
+                { $set: { password: await bcrypt.hash(newPassword, 12), passwordChangedAt: new Date() } });
+            await revokeUserSessions(db, userId);
+
+            res.json({ message: 'Password has been changed, please login again' });
+        } catch (error) {
+            console.error('Error changing password:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // ADMIN: list users without their password hash, example /admin/users?page=1&limit=20
+    app.get('/admin/users', verifyToken, requireRole("admin"), async function (req, res) {
+        try {
+            const { page, limit, skip } = parsePagination(req.query, 20);
+            const users = await db.collection('users').find({})
+                .project({ password: 0 })
+                .sort({ email: 1 })
+                .skip(skip)
+                .limit(limit)
+                .toArray();
+            const total = await db.collection('users').countDocuments({});
+
+            res.json({ users, page, limit, total, totalPages: Math.ceil(total / limit) });
+        } catch (error) {
+            console.error('Error fetching users:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // ADMIN: change the role of a user, example /admin/users/<ID>/role
+    //   the user's sessions are revoked so the new role is in the JWT at the next login
+    // sample PUT body
+    // {   "role": "editor"   }
+    app.put('/admin/users/:id/role', verifyToken, requireRole("admin"), async function (req, res) {
+        try {
+            const userId = new ObjectId(req.params.id);
+            const { role } = req.body;
+
+            if (!ROLES.includes(role)) {
+                return res.status(400).json({ error: `Invalid role. Use one of: ${ROLES.join(", ")}` });
+            }
+            // an admin cannot demote themselves, so there is always someone left to manage roles
+            if (userId.toString() === req.tokenData.user_id) {
+                return res.status(400).json({ error: "You cannot change your own role" });
+            }
+
+            const result = await db.collection('users').updateOne(
+                { _id: userId },
+                { $set: { role } });
+
+            if (result.matchedCount === 0) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+            await revokeUserSessions(db, userId);
+
+            res.json({ message: `Role has been changed to ${role}` });
+        } catch (error) {
+            if (error instanceof BSONError) {
+                return res.status(400).json({ error: "Invalid user ID format." });
+            }
+            console.error('Error changing role:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // ADMIN: delete another user account and end its sessions, example /admin/users/<ID>
+    //   recipes of the user are kept, and can then only be changed by editors and admins
+    app.delete('/admin/users/:id', verifyToken, requireRole("admin"), async function (req, res) {
+        try {
+            const userId = new ObjectId(req.params.id);
+            if (userId.toString() === req.tokenData.user_id) {
+                return res.status(400).json({ error: "You cannot delete your own account" });
+            }
+
+            const result = await db.collection('users').deleteOne({ _id: userId });
+            if (result.deletedCount === 0) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+            await revokeUserSessions(db, userId);
+
+            res.json({ message: 'Deleted successfully' });
+        } catch (error) {
+            if (error instanceof BSONError) {
+                return res.status(400).json({ error: "Invalid user ID format." });
+            }
+            console.error('Error deleting user:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // ADMIN: the ingredient keyword -> allergen/diet mapping used for the recipe flags
+    app.get('/admin/ingredient-flags', verifyToken, requireRole("admin"), async function (req, res) {
+        try {
+            const ingredientFlags = await db.collection('ingredient_flags').find({}).sort({ keyword: 1 }).toArray();
+            res.json({ ingredientFlags });
+        } catch (error) {
+            console.error('Error fetching ingredient flags:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // ADMIN: add or change the mapping of a keyword, example /admin/ingredient-flags/tahini
+    //   run /admin/ingredient-flags/recompute afterwards to update the existing recipes
+    // sample PUT body
+    // {   "allergens": [], "meat": false, "animal": false   }
+    app.put('/admin/ingredient-flags/:keyword', verifyToken, requireRole("admin"), async function (req, res) {
+        try {
+            const keyword = req.params.keyword.trim().toLowerCase();
+            const allergens = Array.isArray(req.body.allergens) ? req.body.allergens : [];
+            if (!keyword || allergens.some(allergen => !ALLERGENS.includes(allergen))) {
+                return res.status(400).json({ error: `Allergens must be from: ${ALLERGENS.join(", ")}` });
+            }
+
+            const meat = req.body.meat === true;
+            await db.collection('ingredient_flags').updateOne(
+                { keyword },
+                { $set: { allergens, meat, animal: meat || req.body.animal === true } },
+                { upsert: true });
+            res.json({ message: `Mapping for ${keyword} has been saved` });
+        } catch (error) {
+            console.error('Error saving ingredient flags:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // ADMIN: remove the mapping of a keyword, example /admin/ingredient-flags/tahini
+    app.delete('/admin/ingredient-flags/:keyword', verifyToken, requireRole("admin"), async function (req, res) {
+        try {
+            const result = await db.collection('ingredient_flags').deleteOne({ keyword: req.params.keyword.trim().toLowerCase() });
+            if (result.deletedCount === 0) {
+                return res.status(404).json({ error: 'Mapping not found' });
+            }
+            res.json({ message: 'Deleted successfully' });
+        } catch (error) {
+            console.error('Error deleting ingredient flags:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // ADMIN: recompute the allergen & diet flags of every recipe after the mapping has changed
+    app.post('/admin/ingredient-flags/recompute', verifyToken, requireRole("admin"), async function (req, res) {
+        try {
+            const mappings = await db.collection('ingredient_flags').find({}).toArray();
+            const cursor = db.collection('recipes').find({}).project({ ingredients: 1 });
+
+            // write in batches so thousands of recipes do not mean thousands of round trips
+            let updates = [];
+            let recipesUpdated = 0;
+            for await (const recipe of cursor) {
+                updates.push({
+                    updateOne: {
+                        filter: { _id: recipe._id },
+                        update: { $set: computeDietaryFlags(recipe.ingredients, mappings) }
+                    }
+                });
+                if (updates.length === 500) {
+                    recipesUpdated += (await db.collection('recipes').bulkWrite(updates)).modifiedCount;
+                    updates = [];
+                }
+            }
+            if (updates.length > 0) {
+                recipesUpdated += (await db.collection('recipes').bulkWrite(updates)).modifiedCount;
+            }
+
+            res.json({ message: 'Recipe flags have been recomputed', recipesUpdated });
+        } catch (error) {
+            console.error('Error recomputing recipe flags:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // ADMIN: the nutrition facts per 100 g used for the recipe nutrition
+    app.get('/admin/nutrition-facts', verifyToken, requireRole("admin"), async function (req, res) {
+        try {
+            const nutritionFacts = await db.collection('nutrition_facts').find({}).sort({ keyword: 1 }).toArray();
+            res.json({ nutritionFacts });
+        } catch (error) {
+            console.error('Error fetching nutrition facts:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // ADMIN: add or change the facts of a keyword, example /admin/nutrition-facts/tahini
+    //   run /admin/nutrition-facts/recompute afterwards to update the existing recipes
+    // sample PUT body, sodium in mg, gramsPerMl & gramsPerUnit are optional
+    // {   "per100g": { "calories": 595, "protein": 17, "fat": 54, "carbs": 21, "sodium": 115 }, "gramsPerMl": 1.05   }
+    app.put('/admin/nutrition-facts/:keyword', verifyToken, requireRole("admin"), async function (req, res) {
+        try {
+            const keyword = req.params.keyword.trim().toLowerCase();
+            const per100g = req.body.per100g || {};
+            const isAmount = value => typeof value === "number" && value >= 0;
+
+            if (!keyword || NUTRIENTS.some(nutrient => !isAmount(per100g[nutrient]))) {
+                return res.status(400).json({ error: `per100g needs a number of at least 0 for: ${NUTRIENTS.join(", ")}` });
+            }
+            for (const field of ["gramsPerMl", "gramsPerUnit"]) {
+                if (req.body[field] !== undefined && req.body[field] !== null && !(isAmount(req.body[field]) && req.body[field] > 0)) {
+                    return res.status(400).json({ error: `${field} must be a positive number` });
+                }
+            }
+
+            await db.collection('nutrition_facts').updateOne(
+                { keyword },
+                {
+                    $set: {
+                        per100g: Object.fromEntries(NUTRIENTS.map(nutrient => [nutrient, per100g[nutrient]])),
+                        gramsPerMl: req.body.gramsPerMl || null,
+                        gramsPerUnit: req.body.gramsPerUnit || null
+                    }
+                },
+                { upsert: true });
+            res.json({ message: `Nutrition facts for ${keyword} have been saved` });
+        } catch (error) {
+            console.error('Error saving nutrition facts:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // ADMIN: remove the facts of a keyword, example /admin/nutrition-facts/tahini
+    app.delete('/admin/nutrition-facts/:keyword', verifyToken, requireRole("admin"), async function (req, res) {
+        try {
+            const result = await db.collection('nutrition_facts').deleteOne({ keyword: req.params.keyword.trim().toLowerCase() });
+            if (result.deletedCount === 0) {
+                return res.status(404).json({ error: 'Nutrition facts not found' });
+            }
+            res.json({ message: 'Deleted successfully' });
+        } catch (error) {
+            console.error('Error deleting nutrition facts:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
+    // ADMIN: recompute the nutrition of every recipe after the facts have changed
+    app.post('/admin/nutrition-facts/recompute', verifyToken, requireRole("admin"), async function (req, res) {
+        try {
+            const facts = await db.collection('nutrition_facts').find({}).toArray();
+            const cursor = db.collection('recipes').find({}).project({ ingredients: 1, servings: 1 });
+
+            // write in batches, same as the allergen flags
+            let updates = [];
+            let recipesUpdated = 0;
+            for await (const recipe of cursor) {
+                updates.push({
+                    updateOne: {
+                        filter: { _id: recipe._id },
+                        update: { $set: { nutrition: computeNutrition(recipe.ingredients, recipe.servings, facts) } }
+                    }
+                });
+                if (updates.length === 500) {
+                    recipesUpdated += (await db.collection('recipes').bulkWrite(updates)).modifiedCount;
+                    updates = [];
+                }
+            }
+            if (updates.length > 0) {
+                recipesUpdated += (await db.collection('recipes').bulkWrite(updates)).modifiedCount;
+            }
+
+            res.json({ message: 'Recipe nutrition has been recomputed', recipesUpdated });
+        } catch (error) {
+            console.error('Error recomputing recipe nutrition:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    })
+
     // example to use JWT to protect route access 
     // The access token will be in the request's header, in the Authorization field
     // the format will be "Bearer <JWT>"
@@ -0,0 +1,173 @@
+// Convert recipes to and from schema.org Recipe JSON-LD (https://schema.org/Recipe)
+// the format most recipe sites publish, so recipes can be moved between environments and taken in from other sites
+const { parseQuantity, normalizeUnit } = require('./units');
+
+// minutes -> ISO 8601 duration, e.g. 90 -> "PT1H30M"
+function toDuration(minutes) {
+    const total = Math.round(Number(minutes));
+    if (!(total >= 0)) {
+        return undefined;
+    }
+    const hours = Math.floor(total / 60);
+    const rest = total % 60;
+    return `PT${hours > 0 ? `${hours}H` : ""}${rest > 0 || hours === 0 ? `${rest}M` : ""}`;
+}
+
+// ISO 8601 duration -> minutes, e.g. "PT1H30M" -> 90, also accepts a plain number of minutes
+function fromDuration(duration) {
+    if (typeof duration === "number") {
+        return duration;
+    }
+    const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/i.exec(String(duration || "").trim());
+    if (!match || String(duration).trim().toUpperCase() === "P" || String(duration).trim().toUpperCase() === "PT") {
+        return undefined;
+    }
+    const [, days, hours, minutes, seconds] = match.map(part => Number(part) || 0);
+    return days * 24 * 60 + hours * 60 + minutes + Math.round(seconds / 60);
+}
+
+// { name, quantity, unit } -> "400 g spaghetti", or "black pepper, to taste" when the quantity is not a number
+function ingredientToText({ name, quantity, unit }) {
+    if (parseQuantity(quantity)) {
+        return [quantity, unit, name].filter(Boolean).join(" ");
+    }
+    return quantity ? `${name}, ${quantity}` : name;
+}
+
+// "400 g spaghetti" -> { name: "spaghetti", quantity: "400", unit: "g" }
+//   "2 cloves garlic" -> unit "cloves", "salt, to taste" -> quantity "to taste"
+function parseIngredientText(text) {
+    const line = String(text || "").trim();
+    const amount = /^((?:\d+\s+)?\d+(?:[.,]\d+)?(?:\/\d+)?[¼½¾⅓⅔⅛]?|[¼½¾⅓⅔⅛])(?:\s*(?:-|–|to)\s*(\d+(?:[.,]\d+)?(?:\/\d+)?))?\s*(.*)$/.exec(line);
+
+    if (!amount) {
+        // no leading number: "salt, to taste" or just "salt"
+        const [name, ...note] = line.split(",");
+        return { name: name.trim().toLowerCase(), quantity: note.join(",").trim(), unit: "" };
+    }
+
+    const quantity = amount[2] ? `${amount[1]}-${amount[2]}` : amount[1];
+    const rest = amount[3].replace(/^of\s+/i, "");
+
+    // the first word (or "fl oz") is the unit when we know it, or when it is a common count word
+    const countWords = ["clove", "cloves", "piece", "pieces", "slice", "slices", "can", "cans", "bunch", "pinch", "sprig", "sprigs", "stalk", "stalks", "whole"];
+    const twoWords = rest.split(/\s+/).slice(0, 2).join(" ");
+    const [firstWord] = rest.split(/\s+/);
+    let unit = "";
+    let name = rest;
+    if (normalizeUnit(twoWords)) {
+        unit = twoWords;
+    } else if (normalizeUnit(firstWord) || countWords.includes(String(firstWord).toLowerCase())) {
+        unit = firstWord;
+    }
+    if (unit) {
+        name = rest.slice(unit.length).replace(/^\s*(of\s+)?/i, "");
+    }
+
+    return {
+        name: name.trim().toLowerCase(),
+        quantity: quantity.replace(",", "."),
+        unit: unit.toLowerCase()
+    }
+}
+
+// A recipe document -> schema.org Recipe
+function toJsonLd(recipe) {
+    const jsonLd = {
+        "@context": "https://schema.org",
+        "@type": "Recipe",
+        "identifier": recipe._id ? recipe._id.toString() : undefined,
+        "name": recipe.name,
+        "recipeCuisine": recipe.cuisine ? recipe.cuisine.name : undefined,
+        "prepTime": toDuration(recipe.prepTime),
+        "cookTime": toDuration(recipe.cookTime),
+        "totalTime": toDuration((Number(recipe.prepTime) || 0) + (Number(recipe.cookTime) || 0)),
+        "recipeYield": recipe.servings ? `${recipe.servings} servings` : undefined,
+        "recipeIngredient": (recipe.ingredients || []).map(ingredientToText),
+        "recipeInstructions": (recipe.instructions || []).map((step, index) => ({
+            "@type": "HowToStep",
+            "position": index + 1,
+            "text": step
+        })),
+        "keywords": (recipe.tags || []).map(tag => tag.name).join(", ")
+    }
+
+    if (recipe.reviewCount > 0) {
+        jsonLd.aggregateRating = {
+            "@type": "AggregateRating",
+            "ratingValue": recipe.averageRating,
+            "ratingCount": recipe.reviewCount
+        }
+    }
+
+    // leave out what the recipe does not have
+    return JSON.parse(JSON.stringify(jsonLd));
+}
+
+// instruction steps from the forms sites use: a text, strings, HowToStep or HowToSection objects, or a single one of them
+function instructionsFromJsonLd(instructions) {
+    if (typeof instructions === "string") {
+        return instructions.split(/\r?\n/).map(step => step.trim()).filter(Boolean);
+    }
+    if (!Array.isArray(instructions)) {
+        return instructions && typeof instructions === "object" ? instructionsFromJsonLd([instructions]) : [];
+    }
+    return instructions.flatMap(step => {
+        if (typeof step === "string") {
+            return [step.trim()];
+        }
+        if (step && Array.isArray(step.itemListElement)) {
+            return instructionsFromJsonLd(step.itemListElement);
+        }
+        return step && (step.text || step.name) ? [String(step.text || step.name).trim()] : [];
+    }).filter(Boolean);
+}
+
+function firstValue(value) {
+    return Array.isArray(value) ? value[0] : value;
+}
+
+// A schema.org Recipe -> the request body accepted by validateRecipe (cuisine & tags as names)
+function fromJsonLd(jsonLd) {
+    const prepTime = fromDuration(jsonLd.prepTime);
+    let cookTime = fromDuration(jsonLd.cookTime);
+    const totalTime = fromDuration(jsonLd.totalTime);
+    if (cookTime === undefined && totalTime !== undefined) {
+        cookTime = Math.max(totalTime - (prepTime || 0), 0);
+    }
+
+    const servings = parseInt(String(firstValue(jsonLd.recipeYield) || ""), 10);
+    const keywords = Array.isArray(jsonLd.keywords) ? jsonLd.keywords : String(jsonLd.keywords || "").split(",");
+    const cuisine = firstValue(jsonLd.recipeCuisine);
+
+    return {
+        name: typeof jsonLd.name === "string" ? jsonLd.name.trim() : jsonLd.name,
+        cuisine: typeof cuisine === "string" ? cuisine.trim() : cuisine,
+        prepTime,
+        cookTime,
+        servings: Number.isNaN(servings) ? undefined : servings,
+        ingredients: [].concat(jsonLd.recipeIngredient || jsonLd.ingredients || []).map(parseIngredientText),
+        instructions: instructionsFromJsonLd(jsonLd.recipeInstructions),
+        tags: keywords.map(keyword => String(keyword).trim()).filter(Boolean)
+    }
+}
+
+function isRecipe(node) {
+    const type = node && node["@type"];
+    return Array.isArray(type) ? type.includes("Recipe") : type === "Recipe";
+}
+
+// The Recipe objects in a JSON-LD document: a single Recipe, an array, or a @graph as found on web pages
+function extractRecipes(document) {
+    if (Array.isArray(document)) {
+        return document.flatMap(extractRecipes);
+    }
+    if (document && Array.isArray(document["@graph"])) {
+        return document["@graph"].filter(isRecipe);
+    }
+    return isRecipe(document) ? [document] : [];
+}
+
+module.exports = {
+    toJsonLd, fromJsonLd, extractRecipes, isRecipe, toDuration, fromDuration, parseIngredientText, ingredientToText
+}
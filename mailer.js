@@ -0,0 +1,42 @@
+// Pluggable email sender, chosen with MAIL_TRANSPORT in the .env file
+//   console (default) - print the email to the server log, handy in development
+//   file              - write each email as a JSON file into MAIL_OUTBOX_DIR (default ./outbox)
+// a real provider (SMTP, SendGrid ...) can be added with registerTransport(name, sendFunction)
+const fs = require('fs/promises');
+const path = require('path');
+
+const transports = {
+    console: async function (message) {
+        console.log(`--- email to ${message.to} ---\nSubject: ${message.subject}\n\n${message.text}\n---`);
+    },
+
+    file: async function (message) {
+        const outbox = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, 'outbox');
+        await fs.mkdir(outbox, { recursive: true });
+
+        const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9]/gi, '_')}.json`;
+        await fs.writeFile(path.join(outbox, fileName), JSON.stringify({
+            ...message,
+            date: new Date()
+        }, null, 2));
+    }
+}
+
+// add or replace a transport, the send function receives { to, subject, text }
+function registerTransport(name, send) {
+    transports[name] = send;
+}
+
+// send an email with the transport configured in MAIL_TRANSPORT
+async function sendMail(message) {
+    const name = process.env.MAIL_TRANSPORT || "console";
+    const send = transports[name];
+    if (!send) {
+        throw new Error(`Unknown mail transport: ${name}`);
+    }
+    await send(message);
+}
+
+module.exports = {
+    sendMail, registerTransport
+}
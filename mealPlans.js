@@ -0,0 +1,62 @@
+// Weekly meal plans: one plan per user and week, the week is named by the date of its Monday
+// a plan stores entries { entry_id, day, slot, recipe_id }, at most one recipe per day & slot, e.g.
+//   { "user_id": ..., "weekStart": "2026-10-19", "entries": [ { "day": "monday", "slot": "dinner", "recipe_id": ... } ] }
+
+const DAYS = ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"];
+const SLOTS = ["breakfast", "lunch", "dinner"];
+
+// the Monday of the week a date (YYYY-MM-DD) falls in, as YYYY-MM-DD, or null when it is not a valid date
+function weekStartOf(date) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date))) {
+        return null;
+    }
+    const day = new Date(`${date}T00:00:00Z`);
+    if (isNaN(day.getTime()) || day.toISOString().slice(0, 10) !== date) {
+        return null;
+    }
+
+    // getUTCDay: Sunday is 0, Monday is 1
+    const daysSinceMonday = (day.getUTCDay() + 6) % 7;
+    return addDays(date, -daysSinceMonday);
+}
+
+// a YYYY-MM-DD date moved by a number of days
+function addDays(date, days) {
+    const day = new Date(`${date}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() + days);
+    return day.toISOString().slice(0, 10);
+}
+
+// Lay out a plan day by day with the recipe summaries and the total prep & cook time per day
+//   recipes: the planned recipes ({ _id, name, prepTime, cookTime }), a removed recipe shows as null
+function summarizeMealPlan(weekStart, entries, recipes) {
+    const recipesById = new Map(recipes.map(recipe => [recipe._id.toString(), recipe]));
+
+    return DAYS.map((day, index) => {
+        const meals = {};
+        let prepTime = 0;
+        let cookTime = 0;
+
+        for (const slot of SLOTS) {
+            const entry = entries.find(entry => entry.day === day && entry.slot === slot);
+            const recipe = entry ? recipesById.get(entry.recipe_id.toString()) : undefined;
+            meals[slot] = entry ? { entry_id: entry.entry_id, recipe: recipe || null } : null;
+
+            if (recipe) {
+                prepTime += Number(recipe.prepTime) || 0;
+                cookTime += Number(recipe.cookTime) || 0;
+            }
+        }
+
+        return {
+            day,
+            date: addDays(weekStart, index),
+            meals,
+            totals: { prepTime, cookTime, totalTime: prepTime + cookTime }
+        }
+    });
+}
+
+module.exports = {
+    DAYS, SLOTS, weekStartOf, addDays, summarizeMealPlan
+}
@@ -1,34 +1,89 @@
 const jwt = require('jsonwebtoken');
+const { ObjectId } = require('mongodb');
 
 // all middlewares in Express are functions that take in three parameters
 // req -> request
 // res -> response
 // next -> the next middleware to call 
 
-function verifyToken(req, res, next) {
+// Read the JWT from the authorization header and check that it belongs to a live session
+//   returns the token data, or null when there is no valid token
+async function readToken(req) {
     // check if the JWT is provided in the authorization headers 
     const authHeader = req.headers.authorization;
     const token = authHeader && authHeader.split(" ")[1];
     if (!token) {
-        // send status 401 back without a message
-        return res.sendStatus(401);
+        return null;
     }
 
     // first parameter: token from the request's header
     // second parameter: the secret key (aka TOKEN SECRET)
-    // third parameter: callback function, called when the verification has finished
     // ARC testing: select and activate bearer @ Authorization  
-    jwt.verify(token, process.env.TOKEN_SECRET, function (err, tokenData) {
-        if (err) {
-            return res.sendStatus(401);
-        } else {
-            // a middleware can add new keys to request
-            req.tokenData = tokenData;
-
-            // If the JWT is valid, transfer the request to the next middleware
-           next();
+    let tokenData;
+    try {
+        tokenData = jwt.verify(token, process.env.TOKEN_SECRET);
+    } catch (err) {
+        return null;
+    }
+    if (!tokenData.sid) {
+        return null;
+    }
+
+    try {
+        // the JWT must belong to a live session, and to its latest refresh (rotation generation)
+        const session = await req.app.locals.db.collection('sessions').findOne({
+            _id: new ObjectId(tokenData.sid),
+            revokedAt: null
+        });
+        if (!session || session.generation !== tokenData.gen) {
+            return null;
         }
-    })
+    } catch (error) {
+        console.error('Error verifying session:', error);
+        return null;
+    }
+    return tokenData;
+}
+
+async function verifyToken(req, res, next) {
+    const tokenData = await readToken(req);
+    if (!tokenData) {
+        // send status 401 back without a message
+        return res.sendStatus(401);
+    }
+
+    // a middleware can add new keys to request
+    req.tokenData = tokenData;
+
+    // If the JWT is valid, transfer the request to the next middleware
+    next();
+}
+
+// like verifyToken, but lets the request through without req.tokenData when there is no valid token
+//   for public routes that show more to logged in users, e.g. personal recommendations
+async function optionalToken(req, res, next) {
+    const tokenData = await readToken(req);
+    if (tokenData) {
+        req.tokenData = tokenData;
+    }
+    next();
+}
+
+// roles of a user, stored on the user document and carried in the JWT claims
+//   user   - manage own recipes, reviews and account
+//   editor - can also update any recipe
+//   admin  - can also delete any recipe, moderate reviews, manage users, cuisines and tags
+const ROLES = ["user", "editor", "admin"];
+
+// only let the given roles through, must be used after verifyToken which provides req.tokenData
+// example: app.delete('/admin/users/:id', verifyToken, requireRole("admin"), ...)
+function requireRole(...roles) {
+    return function (req, res, next) {
+        if (!req.tokenData || !roles.includes(req.tokenData.role)) {
+            return res.status(403).json({ error: "You do not have permission for this action" });
+        }
+        next();
+    }
 }
 
-module.exports = { verifyToken}
\ No newline at end of file
+module.exports = { verifyToken, optionalToken, requireRole, ROLES }
\ No newline at end of file
@@ -0,0 +1,183 @@
+// Per serving nutrition of a recipe, estimated from its ingredient quantities & units
+// the facts live in the nutrition_facts collection so they can be maintained without a deploy,
+// one document per keyword with the values per 100 g (sodium in mg, the rest in g, calories in kcal):
+//   { "keyword": "butter", "per100g": { "calories": 717, "protein": 0.9, "fat": 81, "carbs": 0.1, "sodium": 11 },
+//     "gramsPerMl": 0.96, "gramsPerUnit": null }
+//   gramsPerMl   - density, to weigh volumes (cups, tbsp ...), water (1) when not given
+//   gramsPerUnit - weight of one piece, for counted ingredients like "2 eggs" or "3 cloves garlic"
+// an ingredient takes the facts of its longest matching keyword, same as the allergen flags
+const { parseQuantity, normalizeUnit, UNITS } = require('./units');
+const { findKeywordMatch } = require('./dietary');
+
+const NUTRIENTS = ["calories", "protein", "fat", "carbs", "sodium"];
+
+// amounts too small to weigh, left out of the totals without making the nutrition incomplete,
+//   e.g. { "name": "salt", "quantity": "to taste" } or { "name": "nutmeg", "quantity": 1, "unit": "pinch" }
+const NEGLIGIBLE_AMOUNT = /\b(to taste|pinch(es)?|dash(es)?|sprinkle|as needed|for garnish|garnish|optional)\b/i;
+
+// units that count pieces, weighed with gramsPerUnit
+const COUNT_UNITS = ["", "whole", "piece", "pieces", "clove", "cloves", "slice", "slices", "large", "medium", "small"];
+
+// keyword, calories, protein, fat, carbs, sodium, gramsPerMl, gramsPerUnit
+const DEFAULT_FACTS = [
+    // meat, fish & eggs
+    ["chicken", 209, 26, 10.9, 0, 84],
+    ["chicken breast", 165, 31, 3.6, 0, 74],
+    ["beef", 250, 26, 15, 0, 72],
+    ["pork", 242, 27, 14, 0, 62],
+    ["bacon", 541, 37, 42, 1.4, 1717, null, 8],
+    ["salmon", 208, 20, 13, 0, 59],
+    ["tuna", 132, 28, 1.3, 0, 47],
+    ["shrimp", 99, 24, 0.3, 0.2, 111],
+    ["egg", 143, 12.6, 9.5, 0.7, 142, null, 50],
+    ["tofu", 76, 8, 4.8, 1.9, 7],
+
+    // dairy
+    ["milk", 61, 3.2, 3.3, 4.8, 43, 1.03],
+    ["butter", 717, 0.9, 81, 0.1, 11, 0.96],
+    ["cream", 340, 2.8, 36, 2.7, 38, 1],
+    ["yogurt", 61, 3.5, 3.3, 4.7, 46, 1.03],
+    ["cheese", 402, 25, 33, 1.3, 621],
+    ["parmesan", 431, 38, 29, 4.1, 1529, 0.4],
+    ["mozzarella", 280, 28, 17, 3.1, 627],
+    ["coconut milk", 230, 2.3, 24, 6, 15, 0.98],
+
+    // grains, flour & sugar
+    ["flour", 364, 10, 1, 76, 2, 0.53],
+    ["cornstarch", 381, 0.3, 0.1, 91, 9, 0.54],
+    ["sugar", 387, 0, 0, 100, 1, 0.85],
+    ["brown sugar", 380, 0.1, 0, 98, 28, 0.93],
+    ["honey", 304, 0.3, 0, 82, 4, 1.42],
+    ["rice", 365, 7.1, 0.7, 80, 5, 0.85],
+    ["pasta", 371, 13, 1.5, 75, 6],
+    ["spaghetti", 371, 13, 1.5, 75, 6],
+    ["noodle", 364, 12, 1.5, 75, 10],
+    ["bread", 265, 9, 3.2, 49, 491, null, 30],
+    ["oat", 389, 16.9, 6.9, 66, 2, 0.34],
+
+    // vegetables & fruit
+    ["potato", 77, 2, 0.1, 17, 6, null, 170],
+    ["onion", 40, 1.1, 0.1, 9.3, 4, null, 110],
+    ["garlic", 149, 6.4, 0.5, 33, 17, null, 3],
+    ["ginger", 80, 1.8, 0.8, 18, 13],
+    ["tomato", 18, 0.9, 0.2, 3.9, 5, null, 120],
+    ["carrot", 41, 0.9, 0.2, 9.6, 69, null, 60],
+    ["bell pepper", 31, 1, 0.3, 6, 4, null, 120],
+    ["chili", 40, 1.9, 0.4, 8.8, 9, null, 15],
+    ["spinach", 23, 2.9, 0.4, 3.6, 79],
+    ["mushroom", 22, 3.1, 0.3, 3.3, 5],
+    ["broccoli", 34, 2.8, 0.4, 7, 33],
+    ["cucumber", 15, 0.7, 0.1, 3.6, 2, null, 300],
+    ["eggplant", 25, 1, 0.2, 6, 2, null, 450],
+    ["avocado", 160, 2, 15, 8.5, 7, null, 150],
+    ["corn", 86, 3.3, 1.4, 19, 15],
+    ["lemon", 29, 1.1, 0.3, 9.3, 2, null, 60],
+    ["lemon juice", 22, 0.4, 0.2, 6.9, 1, 1.03],
+    ["banana", 89, 1.1, 0.3, 23, 1, null, 120],
+    ["apple", 52, 0.3, 0.2, 14, 1, null, 180],
+
+    // beans, nuts & seeds
+    ["bean", 132, 8.9, 0.5, 24, 1],
+    ["chickpea", 164, 8.9, 2.6, 27, 7],
+    ["lentil", 352, 25, 1.1, 63, 6, 0.85],
+    ["peanut", 567, 26, 49, 16, 18],
+    ["peanut butter", 588, 25, 50, 20, 459, 1.09],
+    ["almond", 579, 21, 50, 22, 1],
+
+    // oils, sauces & seasoning
+    ["oil", 884, 0, 100, 0, 0, 0.92],
+    ["olive oil", 884, 0, 100, 0, 2, 0.91],
+    ["soy sauce", 53, 8.1, 0.6, 4.9, 5493, 1.2],
+    ["fish sauce", 35, 5.1, 0, 3.6, 7851, 1.2],
+    ["vinegar", 18, 0, 0, 0.04, 2, 1.01],
+    ["salt", 0, 0, 0, 0, 38758, 1.2],
+    ["black pepper", 251, 10, 3.3, 64, 20, 0.46],
+    ["baking powder", 53, 0, 0, 28, 10600, 0.9],
+    ["chicken stock", 6, 0.6, 0.2, 0.4, 343, 1],
+    ["water", 0, 0, 0, 0, 0, 1]
+];
+
+// seeded into nutrition_facts when the collection is empty
+const DEFAULT_NUTRITION_FACTS = DEFAULT_FACTS.map(([keyword, calories, protein, fat, carbs, sodium, gramsPerMl = null, gramsPerUnit = null]) => ({
+    keyword,
+    per100g: { calories, protein, fat, carbs, sodium },
+    gramsPerMl,
+    gramsPerUnit
+}));
+
+// weight of an ingredient in grams from its quantity & unit, or null when it cannot be worked out
+//   a range like "2-3" counts as its middle
+function ingredientGrams(ingredient, facts) {
+    const values = parseQuantity(ingredient.quantity);
+    if (!values) {
+        return null;
+    }
+    const amount = values.reduce((sum, value) => sum + value, 0) / values.length;
+
+    const unit = normalizeUnit(ingredient.unit);
+    if (unit && UNITS[unit].kind === "mass") {
+        return amount * UNITS[unit].factor;
+    }
+    if (unit && UNITS[unit].kind === "volume") {
+        return amount * UNITS[unit].factor * (facts.gramsPerMl || 1);
+    }
+    if (COUNT_UNITS.includes(String(ingredient.unit || "").trim().toLowerCase()) && facts.gramsPerUnit) {
+        return amount * facts.gramsPerUnit;
+    }
+    return null;
+}
+
+function round(value, decimals) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+// Compute the nutrition of one serving from the ingredients and the nutrition facts documents
+//   returns { calories, protein, fat, carbs, sodium, complete, unmatched: [{ name, reason }] } to be stored on the recipe
+//   unmatched ingredients are left out of the totals, so the values are a lower estimate when complete is false,
+//   and null when no ingredient could be counted at all; negligible amounts ("to taste", "a pinch") do not count either way
+function computeNutrition(ingredients, servings, facts) {
+    const totals = Object.fromEntries(NUTRIENTS.map(nutrient => [nutrient, 0]));
+    const unmatched = [];
+    let counted = 0;
+
+    for (const ingredient of ingredients || []) {
+        if (NEGLIGIBLE_AMOUNT.test(`${ingredient.quantity || ""} ${ingredient.unit || ""}`)) {
+            continue;
+        }
+
+        const match = findKeywordMatch(ingredient.name, facts);
+        if (!match) {
+            unmatched.push({ name: ingredient.name, reason: "No nutrition facts for this ingredient" });
+            continue;
+        }
+
+        const grams = ingredientGrams(ingredient, match);
+        if (grams === null) {
+            const amount = [ingredient.quantity, ingredient.unit].filter(Boolean).join(" ");
+            unmatched.push({ name: ingredient.name, reason: `Cannot weigh the quantity: ${amount || "(none)"}` });
+            continue;
+        }
+
+        for (const nutrient of NUTRIENTS) {
+            totals[nutrient] += (Number(match.per100g[nutrient]) || 0) * grams / 100;
+        }
+        counted++;
+    }
+
+    const portions = Number(servings) > 0 ? Number(servings) : 1;
+    const perServing = (total, decimals) => counted > 0 ? round(total / portions, decimals) : null;
+    return {
+        calories: perServing(totals.calories, 0),
+        protein: perServing(totals.protein, 1),
+        fat: perServing(totals.fat, 1),
+        carbs: perServing(totals.carbs, 1),
+        sodium: perServing(totals.sodium, 0),
+        complete: unmatched.length === 0,
+        unmatched
+    }
+}
+
+module.exports = {
+    NUTRIENTS, DEFAULT_NUTRITION_FACTS, computeNutrition
+}
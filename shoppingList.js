@@ -0,0 +1,153 @@
+// Combine the ingredients of several recipes into one shopping list
+//   the same ingredient is merged across recipes, amounts in units we can convert are summed
+//   in g or ml (then shown in a readable unit), other units ("whole", "clove") are summed per unit,
+//   and quantities like "to taste" are kept as notes
+const { UNITS, normalizeUnit, parseQuantity, formatQuantity, pickUnit } = require('./units');
+
+// aisle of the shop for an ingredient, the longest matching keyword wins
+//   e.g. "coconut milk" is pantry and not dairy, "black pepper" is spices and not produce
+const CATEGORY_KEYWORDS = {
+    "produce": [
+        "onion", "garlic", "shallot", "scallion", "spring onion", "ginger", "lemongrass", "chili", "chilli",
+        "pepper", "tomato", "potato", "carrot", "celery", "cabbage", "lettuce", "spinach", "broccoli",
+        "cucumber", "mushroom", "eggplant", "zucchini", "corn", "bean sprout", "lemon", "lime", "apple",
+        "banana", "mango", "avocado", "basil", "cilantro", "coriander", "parsley", "mint", "thyme", "rosemary"
+    ],
+    "meat & seafood": [
+        "chicken", "beef", "pork", "lamb", "mutton", "duck", "bacon", "ham", "sausage", "mince",
+        "fish", "salmon", "tuna", "cod", "shrimp", "prawn", "crab", "squid", "clam", "mussel", "anchovy"
+    ],
+    "dairy & eggs": [
+        "milk", "cream", "butter", "cheese", "parmesan", "mozzarella", "yogurt", "yoghurt", "egg"
+    ],
+    "bakery": [
+        "bread", "bun", "tortilla", "pita", "naan", "baguette"
+    ],
+    "pantry": [
+        "rice", "pasta", "spaghetti", "noodle", "flour", "sugar", "honey", "oil", "vinegar", "soy sauce",
+        "fish sauce", "oyster sauce", "coconut milk", "stock", "broth", "bean", "lentil", "chickpea",
+        "tofu", "peanut", "almond", "cashew", "sesame", "tomato paste", "canned tomato", "water"
+    ],
+    "spices": [
+        "salt", "black pepper", "white pepper", "cumin", "paprika", "turmeric", "cinnamon", "curry",
+        "chili powder", "garam masala", "oregano", "nutmeg", "clove", "star anise", "bay leaf"
+    ]
+}
+
+const KEYWORDS = Object.entries(CATEGORY_KEYWORDS)
+    .flatMap(([category, keywords]) => keywords.map(keyword => ({ keyword, category })))
+    .sort((a, b) => b.keyword.length - a.keyword.length);
+
+function categorize(name) {
+    const match = KEYWORDS.find(({ keyword }) => name.includes(keyword));
+    return match ? match.category : "other";
+}
+
+// merge key of an ingredient name: lowercase, single spaces and singular ("tomatoes" -> "tomato")
+//   only used to compare names, the list shows the name as the recipe wrote it
+function normalizeIngredientName(name) {
+    const words = String(name || "").trim().toLowerCase().split(/\s+/);
+    const last = words.pop() || "";
+    let singular = last;
+    if (/(o|ch|sh|x)es$/.test(last)) {
+        singular = last.slice(0, -2);
+    } else if (/ies$/.test(last) && last.length > 4) {
+        singular = `${last.slice(0, -3)}y`;
+    } else if (/[^su]s$/.test(last) && last.length > 3) {
+        // "asparagus", "hummus", "couscous" and "glass" are not plurals
+        singular = last.slice(0, -1);
+    }
+    return [...words, singular].join(" ");
+}
+
+// Build the shopping list
+//   entries: [{ recipe, servings }] where servings is optional (defaults to the recipe's servings)
+//   units: "metric" (default) or "imperial" for the summed amounts
+// returns categories in a fixed order, each with its items sorted by name
+function buildShoppingList(entries, units = "metric") {
+    const items = new Map();
+
+    for (const { recipe, servings } of entries) {
+        const originalServings = Number(recipe.servings);
+        const factor = servings && originalServings > 0 ? servings / originalServings : 1;
+
+        for (const ingredient of recipe.ingredients || []) {
+            const name = normalizeIngredientName(ingredient.name);
+            if (!name) {
+                continue;
+            }
+            const displayName = String(ingredient.name).trim().replace(/\s+/g, " ");
+
+            const values = parseQuantity(ingredient.quantity);
+            const unitKey = normalizeUnit(ingredient.unit);
+            const unit = unitKey && UNITS[unitKey];
+
+            // one line per ingredient and kind of amount, e.g. flour in g and flour in kg merge,
+            // but flour in cups (a volume) stays apart from flour in g, and eggs counted as "whole" from eggs in g
+            const amountKind = unit ? unit.kind : String(ingredient.unit || "").trim().toLowerCase();
+            const key = `${name}|${amountKind}`;
+            if (!items.has(key)) {
+                items.set(key, {
+                    name: displayName,
+                    category: categorize(name),
+                    kind: unit ? unit.kind : null,
+                    unit: unit ? null : String(ingredient.unit || "").trim(),
+                    amount: 0,
+                    hasAmount: false,
+                    notes: [],
+                    recipes: []
+                });
+            }
+
+            const item = items.get(key);
+            if (!item.recipes.includes(recipe.name)) {
+                item.recipes.push(recipe.name);
+            }
+
+            if (!values) {
+                const note = String(ingredient.quantity || "").trim();
+                if (note && !item.notes.includes(note)) {
+                    item.notes.push(note);
+                }
+                continue;
+            }
+
+            // a range is bought by its upper end
+            const amount = Math.max(...values) * factor;
+            item.amount += unit ? amount * unit.factor : amount;
+            item.hasAmount = true;
+        }
+    }
+
+    const categories = new Map(Object.keys(CATEGORY_KEYWORDS).concat("other").map(category => [category, []]));
+    for (const item of items.values()) {
+        let quantity = "";
+        let unit = item.unit;
+        if (item.hasAmount && item.kind) {
+            unit = pickUnit(item.kind, item.amount, units);
+            quantity = formatQuantity([item.amount / UNITS[unit].factor], unit);
+        } else if (item.hasAmount) {
+            quantity = formatQuantity([item.amount], unit);
+        }
+
+        categories.get(item.category).push({
+            name: item.name,
+            quantity,
+            unit: unit || "",
+            notes: item.notes,
+            recipes: item.recipes,
+            checked: false
+        });
+    }
+
+    return [...categories.entries()]
+        .filter(([, categoryItems]) => categoryItems.length > 0)
+        .map(([name, categoryItems]) => ({
+            name,
+            items: categoryItems.sort((a, b) => a.name.localeCompare(b.name))
+        }));
+}
+
+module.exports = {
+    buildShoppingList, normalizeIngredientName, categorize
+}
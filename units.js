@@ -0,0 +1,201 @@
+// Quantities and units of ingredients: parse, scale to a number of servings and convert metric <-> imperial
+// ingredients are stored as { name, quantity, unit } with quantity as a string, e.g.
+//   { "name": "spaghetti", "quantity": "400", "unit": "g" }
+//   { "name": "sugar", "quantity": "1 1/2", "unit": "cups" }
+//   { "name": "black pepper", "quantity": "to taste", "unit": "" }   <- left unchanged
+
+// every unit we can convert, factor converts into the base unit of its kind (g or ml)
+const UNITS = {
+    g: { kind: "mass", factor: 1, system: "metric" },
+    kg: { kind: "mass", factor: 1000, system: "metric" },
+    oz: { kind: "mass", factor: 28.3495, system: "imperial" },
+    lb: { kind: "mass", factor: 453.592, system: "imperial" },
+    ml: { kind: "volume", factor: 1, system: "metric" },
+    l: { kind: "volume", factor: 1000, system: "metric" },
+    tsp: { kind: "volume", factor: 4.92892, system: "imperial" },
+    tbsp: { kind: "volume", factor: 14.7868, system: "imperial" },
+    "fl oz": { kind: "volume", factor: 29.5735, system: "imperial" },
+    cup: { kind: "volume", factor: 236.588, system: "imperial" }
+}
+
+// the ways units are written in recipes, mapped to the keys of UNITS
+const UNIT_ALIASES = {
+    g: "g", gram: "g", grams: "g", gr: "g",
+    kg: "kg", kilogram: "kg", kilograms: "kg",
+    oz: "oz", ounce: "oz", ounces: "oz",
+    lb: "lb", lbs: "lb", pound: "lb", pounds: "lb",
+    ml: "ml", milliliter: "ml", milliliters: "ml", millilitre: "ml", millilitres: "ml",
+    l: "l", liter: "l", liters: "l", litre: "l", litres: "l",
+    tsp: "tsp", teaspoon: "tsp", teaspoons: "tsp",
+    tbsp: "tbsp", tablespoon: "tbsp", tablespoons: "tbsp",
+    "fl oz": "fl oz", "fluid ounce": "fl oz", "fluid ounces": "fl oz",
+    cup: "cup", cups: "cup"
+}
+
+const UNICODE_FRACTIONS = {
+    "¼": 0.25, "½": 0.5, "¾": 0.75, "⅓": 1 / 3, "⅔": 2 / 3, "⅛": 0.125
+}
+
+// the unit key for a unit as written, or null when it is not one we convert (e.g. "whole", "clove")
+function normalizeUnit(unit) {
+    const key = String(unit || "").trim().toLowerCase().replace(/\.$/, "");
+    return UNIT_ALIASES[key] || null;
+}
+
+// parse one number: "2", "1.5", "1/2", "1 1/2", "½", "1½"
+function parseNumber(text) {
+    let value = text.trim();
+    for (const [symbol, fraction] of Object.entries(UNICODE_FRACTIONS)) {
+        value = value.replace(symbol, ` ${fraction}`);
+    }
+
+    let total = 0;
+    const parts = value.trim().split(/\s+/);
+    for (const part of parts) {
+        const fraction = part.match(/^(\d+)\/(\d+)$/);
+        if (fraction && Number(fraction[2]) !== 0) {
+            total += Number(fraction[1]) / Number(fraction[2]);
+        } else if (/^\d*\.?\d+$/.test(part)) {
+            total += Number(part);
+        } else {
+            return null;
+        }
+    }
+    return parts.length > 0 ? total : null;
+}
+
+// parse a quantity string into numbers: [2] for "2", [2, 3] for a range "2-3"
+//   returns null for quantities that are not numeric, e.g. "to taste" or "a pinch"
+function parseQuantity(quantity) {
+    if (typeof quantity === "number") {
+        return Number.isFinite(quantity) ? [quantity] : null;
+    }
+    if (typeof quantity !== "string" || !quantity.trim()) {
+        return null;
+    }
+
+    const values = quantity.split(/\s*(?:-|–|to)\s*/).map(parseNumber);
+    if (values.length > 2 || values.some(value => value === null)) {
+        return null;
+    }
+    return values;
+}
+
+// write a number the way a cook reads it
+//   imperial volumes & counts as fractions ("1 1/2"), grams and millilitres as whole numbers
+function formatNumber(value, unit) {
+    if (unit === "g" || unit === "ml") {
+        return String(value >= 10 ? Math.round(value) : Math.round(value * 10) / 10);
+    }
+
+    const whole = Math.floor(value);
+    const rest = value - whole;
+    const fractions = [[0, ""], [1 / 8, "1/8"], [1 / 4, "1/4"], [1 / 3, "1/3"], [1 / 2, "1/2"], [2 / 3, "2/3"], [3 / 4, "3/4"], [1, ""]];
+    const [nearest, text] = fractions.reduce((best, fraction) =>
+        Math.abs(fraction[0] - rest) < Math.abs(best[0] - rest) ? fraction : best);
+
+    // a fraction only if it is close, otherwise two decimals
+    if (Math.abs(nearest - rest) > 0.02) {
+        return String(Math.round(value * 100) / 100);
+    }
+    const wholePart = whole + (nearest === 1 ? 1 : 0);
+    if (!text) {
+        return String(wholePart);
+    }
+    return wholePart > 0 ? `${wholePart} ${text}` : text;
+}
+
+// write a quantity parsed by parseQuantity, a range as "2-3" or "1 - 1 1/2"
+function formatQuantity(values, unit) {
+    const parts = values.map(value => formatNumber(value, unit));
+    return parts.join(parts.some(part => part.includes(" ")) ? " - " : "-");
+}
+
+// pick a readable unit of the target system for an amount in base units (g or ml)
+function pickUnit(kind, baseAmount, system) {
+    if (kind === "mass") {
+        if (system === "metric") {
+            return baseAmount >= 1000 ? "kg" : "g";
+        }
+        return baseAmount >= UNITS.lb.factor ? "lb" : "oz";
+    }
+
+    if (system === "metric") {
+        return baseAmount >= 1000 ? "l" : "ml";
+    }
+    if (baseAmount < UNITS.tbsp.factor) {
+        return "tsp";
+    }
+    return baseAmount < UNITS.cup.factor / 4 ? "tbsp" : "cup";
+}
+
+// Scale and/or convert one ingredient
+//   factor: servings wanted / servings of the recipe, 1 to keep the amount
+//   system: "metric", "imperial" or undefined to keep the unit
+// non-numeric quantities and units we cannot convert are scaled only when possible, never dropped
+function adjustIngredient(ingredient, factor = 1, system) {
+    const values = parseQuantity(ingredient.quantity);
+    if (!values) {
+        return { ...ingredient };
+    }
+
+    const unitKey = normalizeUnit(ingredient.unit);
+    const unit = unitKey && UNITS[unitKey];
+    const scaled = values.map(value => value * factor);
+
+    if (!unit || !system || unit.system === system && factor === 1) {
+        return {
+            ...ingredient,
+            quantity: formatQuantity(scaled, unitKey)
+        }
+    }
+
+    // convert through the base unit, the largest value decides the unit so a range shares one unit
+    const baseValues = scaled.map(value => value * unit.factor);
+    const targetKey = pickUnit(unit.kind, Math.max(...baseValues), system);
+    const target = UNITS[targetKey];
+
+    return {
+        ...ingredient,
+        quantity: formatQuantity(baseValues.map(value => value / target.factor), targetKey),
+        unit: targetKey
+    }
+}
+
+// Convert oven temperatures written in instructions, e.g. "Bake at 180°C" -> "Bake at 355°F"
+//   rounded to the nearest 5 degrees like oven dials
+function convertTemperatures(text, system) {
+    if (typeof text !== "string" || !system) {
+        return text;
+    }
+
+    const pattern = /(\d+(?:\.\d+)?)\s*(?:°|º|degrees?\s*)\s*(C|F|Celsius|Fahrenheit)\b/gi;
+    return text.replace(pattern, function (match, degrees, scale) {
+        const isCelsius = scale[0].toUpperCase() === "C";
+        if (system === "metric" && !isCelsius) {
+            return `${Math.round((Number(degrees) - 32) * 5 / 9 / 5) * 5}°C`;
+        }
+        if (system === "imperial" && isCelsius) {
+            return `${Math.round((Number(degrees) * 9 / 5 + 32) / 5) * 5}°F`;
+        }
+        return match;
+    });
+}
+
+// Scale a recipe to a number of servings and/or convert it to metric or imperial units
+//   options: { servings: number, units: "metric" | "imperial" }, both optional
+function adjustRecipe(recipe, { servings, units } = {}) {
+    const originalServings = Number(recipe.servings);
+    const factor = servings && originalServings > 0 ? servings / originalServings : 1;
+
+    return {
+        ...recipe,
+        servings: servings && originalServings > 0 ? servings : recipe.servings,
+        ingredients: (recipe.ingredients || []).map(ingredient => adjustIngredient(ingredient, factor, units)),
+        instructions: (recipe.instructions || []).map(step => convertTemperatures(step, units))
+    }
+}
+
+module.exports = {
+    UNITS, normalizeUnit, parseQuantity, formatNumber, formatQuantity, pickUnit, adjustIngredient, convertTemperatures, adjustRecipe
+}
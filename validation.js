@@ -0,0 +1,300 @@
+// Request validation from schemas, with a list of errors per field
+// the schemas use a small part of JSON Schema, so the same rules can also be installed as a MongoDB $jsonSchema validator:
+//   type (string, number, integer, boolean, object, array, objectId), required, properties,
+//   minLength, maxLength, pattern, minimum, maximum, items, minItems, maxItems, uniqueItems, enum
+// plus "description", used as the error message when a pattern does not match,
+// "maxBytes", the length of a string in UTF-8 bytes (e.g. for bcrypt),
+// and "coerce" on a number field of a request body, so a form sending "rating": "4" or "prepTime": "30" still passes
+// errors look like the AI draft warnings:
+//   [ { "field": "ingredients.2.name", "message": "ingredients.2.name is required" } ]
+const { ObjectId } = require('mongodb');
+
+// surrounding spaces are allowed, the routes trim the email before using it
+const EMAIL_PATTERN = "^\\s*[^\\s@]+@[^\\s@]+\\.[^\\s@]+\\s*$";
+
+// a recipe as sent in a request body: cuisine & tags by name
+const recipeSchema = {
+    type: "object",
+    required: ["name", "cuisine", "prepTime", "cookTime", "servings", "ingredients", "instructions", "tags"],
+    properties: {
+        name: { type: "string", minLength: 1, maxLength: 200 },
+        cuisine: { type: "string", minLength: 1 },
+        prepTime: { type: "number", minimum: 0, maximum: 10080, coerce: true },
+        cookTime: { type: "number", minimum: 0, maximum: 10080, coerce: true },
+        servings: { type: "integer", minimum: 1, maximum: 100, coerce: true },
+        ingredients: {
+            type: "array",
+            minItems: 1,
+            items: {
+                type: "object",
+                required: ["name"],
+                properties: {
+                    name: { type: "string", minLength: 1 },
+                    quantity: { type: ["string", "number"] },
+                    unit: { type: "string" }
+                }
+            }
+        },
+        instructions: { type: "array", minItems: 1, items: { type: "string", minLength: 1 } },
+        tags: { type: "array", uniqueItems: true, items: { type: "string", minLength: 1 } }
+    }
+}
+
+// a recipe as stored in the recipes collection: cuisine & tags are copies of the catalog documents
+const storedRecipeSchema = {
+    ...recipeSchema,
+    properties: {
+        ...recipeSchema.properties,
+        cuisine: {
+            type: "object",
+            required: ["_id", "name"],
+            properties: { _id: { type: "objectId" }, name: { type: "string" } }
+        },
+        tags: {
+            type: "array",
+            items: {
+                type: "object",
+                required: ["_id", "name"],
+                properties: { _id: { type: "objectId" }, name: { type: "string" } }
+            }
+        }
+    }
+}
+
+const reviewSchema = {
+    type: "object",
+    required: ["rating", "comment"],
+    properties: {
+        rating: { type: "integer", minimum: 1, maximum: 5, coerce: true },
+        comment: { type: "string", minLength: 1, maxLength: 2000 }
+    }
+}
+
+const passwordRule = {
+    type: "string",
+    minLength: 8,
+    maxBytes: 72,   // bcrypt only uses the first 72 bytes
+    pattern: "^(?=.*[a-zA-Z])(?=.*[0-9])",
+    description: "Password must contain both letters and numbers"
+}
+
+const userSchema = {
+    type: "object",
+    required: ["email", "password"],
+    properties: {
+        email: { type: "string", pattern: EMAIL_PATTERN, description: "Invalid email" },
+        password: passwordRule
+    }
+}
+
+// the password is not checked against passwordRule, accounts may be older than the rule
+const loginSchema = {
+    type: "object",
+    required: ["email", "password"],
+    properties: {
+        email: { type: "string", minLength: 1 },
+        password: { type: "string", minLength: 1 }
+    }
+}
+
+const aiRecipeSchema = {
+    type: "object",
+    required: ["recipeText"],
+    properties: {
+        recipeText: { type: "string", minLength: 1 },
+        mode: { type: "string" }
+    }
+}
+
+const passwordResetSchema = {
+    type: "object",
+    required: ["token", "password"],
+    properties: {
+        token: { type: "string", minLength: 1 },
+        password: passwordRule
+    }
+}
+
+const passwordChangeSchema = {
+    type: "object",
+    required: ["currentPassword", "newPassword"],
+    properties: {
+        currentPassword: { type: "string", minLength: 1 },
+        newPassword: passwordRule
+    }
+}
+
+function typeOf(value) {
+    if (Array.isArray(value)) {
+        return "array";
+    }
+    if (value instanceof ObjectId) {
+        return "objectId";
+    }
+    if (value === null) {
+        return "null";
+    }
+    return typeof value;
+}
+
+// "a whole number", "an object" ... for the error messages
+function describeType(type) {
+    if (type === "integer") {
+        return "a whole number";
+    }
+    return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+function matchesType(value, type) {
+    if (type === "integer") {
+        return Number.isInteger(value);
+    }
+    if (type === "number") {
+        return typeof value === "number" && Number.isFinite(value);
+    }
+    return typeOf(value) === type;
+}
+
+// Check a value against a schema, returns the list of errors (empty when valid)
+//   options.partial skips the required fields, e.g. for drafts that are still being completed
+function validate(schema, value, options = {}, path = "") {
+    const field = path || "body";
+    const errors = [];
+    const fail = message => errors.push({ field, message });
+
+    const types = [].concat(schema.type || []);
+    if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+        fail(`${field} must be ${types.map(describeType).join(" or ")}`);
+        return errors;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(`${field} must be one of: ${schema.enum.join(", ")}`);
+    }
+
+    if (typeof value === "string") {
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+            fail(schema.minLength === 1 ? `${field} must not be empty` : `${field} must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            fail(`${field} must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.maxBytes !== undefined && Buffer.byteLength(value) > schema.maxBytes) {
+            fail(`${field} must be at most ${schema.maxBytes} bytes, accented letters & symbols take more than one`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            fail(schema.description || `${field} has an invalid format`);
+        }
+    }
+
+    if (typeof value === "number") {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            fail(`${field} must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            fail(`${field} must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail(`${field} must have at least ${schema.minItems} item(s)`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            fail(`${field} must have at most ${schema.maxItems} items`);
+        }
+        if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+            fail(`${field} must not contain duplicates`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...validate(schema.items, item, options, path ? `${path}.${index}` : String(index))));
+        }
+    }
+
+    if (typeOf(value) === "object") {
+        for (const name of options.partial ? [] : schema.required || []) {
+            if (value[name] === undefined || value[name] === null || value[name] === "") {
+                errors.push({ field: path ? `${path}.${name}` : name, message: `${path ? `${path}.${name}` : name} is required` });
+            }
+        }
+        for (const [name, property] of Object.entries(schema.properties || {})) {
+            if (value[name] !== undefined && value[name] !== null && value[name] !== "") {
+                errors.push(...validate(property, value[name], options, path ? `${path}.${name}` : name));
+            }
+        }
+    }
+
+    return errors;
+}
+
+// A copy of a request body with the numeric strings of its "coerce" fields turned into numbers, e.g. "4" -> 4
+function coerce(schema, body) {
+    if (typeOf(body) !== "object") {
+        return body;
+    }
+    const coerced = { ...body };
+    for (const [name, property] of Object.entries(schema.properties || {})) {
+        const value = coerced[name];
+        if (property.coerce && typeof value === "string" && value.trim() !== "" && !isNaN(value)) {
+            coerced[name] = Number(value);
+        }
+    }
+    return coerced;
+}
+
+// Middleware: validate req.body against a schema, responds 400 with the errors per field
+//   the "coerce" fields are turned into numbers first, see coerce()
+function validateBody(schema, options) {
+    return function (req, res, next) {
+        if (req.body !== undefined) {
+            req.body = coerce(schema, req.body);
+        }
+
+        const errors = validate(schema, req.body === undefined ? {} : req.body, options);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: "Validation failed", errors });
+        }
+        next();
+    }
+}
+
+// JSON Schema keywords MongoDB understands, the others (e.g. description) are dropped
+const MONGO_KEYWORDS = ["required", "minLength", "maxLength", "pattern", "minimum", "maximum", "minItems", "maxItems", "uniqueItems", "enum"];
+const BSON_TYPES = {
+    string: ["string"],
+    number: ["int", "long", "double", "decimal"],
+    integer: ["int", "long"],
+    boolean: ["bool"],
+    object: ["object"],
+    array: ["array"],
+    objectId: ["objectId"]
+}
+
+// Convert a schema into a MongoDB $jsonSchema, e.g. for a collection validator
+//   other fields stay allowed, so derived fields (allergens, nutrition, reviews ...) do not need to be listed
+//   optional fields may also be null, validate() lets them through, e.g. an ingredient with "unit": null
+function toMongoJsonSchema(schema, optional = false) {
+    const mongoSchema = {};
+    if (schema.type) {
+        const types = [].concat(schema.type).flatMap(type => BSON_TYPES[type]).concat(optional ? ["null"] : []);
+        mongoSchema.bsonType = [...new Set(types)];
+    }
+    for (const keyword of MONGO_KEYWORDS) {
+        if (schema[keyword] !== undefined) {
+            mongoSchema[keyword] = schema[keyword];
+        }
+    }
+    if (schema.properties) {
+        mongoSchema.properties = Object.fromEntries(Object.entries(schema.properties)
+            .map(([name, property]) => [name, toMongoJsonSchema(property, !(schema.required || []).includes(name))]));
+    }
+    if (schema.items) {
+        mongoSchema.items = toMongoJsonSchema(schema.items);
+    }
+    return mongoSchema;
+}
+
+module.exports = {
+    recipeSchema, storedRecipeSchema, reviewSchema, userSchema, loginSchema, aiRecipeSchema, passwordResetSchema, passwordChangeSchema,
+    validate, validateBody, coerce, toMongoJsonSchema
+}